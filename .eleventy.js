@@ -1,52 +1,71 @@
 const fs = require("fs");
+const path = require("path");
+const { slugify } = require("./src/_lib/slug");
+const { sauceFor, getPastaPairings } = require("./src/_lib/pasta-pairings");
+const { regionsIn } = require("./src/_lib/pasta-regions");
+const { isDraft } = require("./src/_lib/pasta-editorial");
+const { assetUrl, isAvailable, thumbUrl, photoUrl, heroUrl, pastaPictureHtml, finishImages } = require("./src/_lib/pasta-images");
 
-module.exports = function (eleventyConfig) {
-  // Existing slug filter (keep as-is)
-  eleventyConfig.addFilter("slug", (value) => {
-    return String(value || "")
-      .toLowerCase()
-      .trim()
-      .replace(/['"]/g, "")
-      .replace(/[^a-z0-9]+/g, "-")
-      .replace(/^-+|-+$/g, "");
-  });
-
-  // -----------------------------------------------------------------------------
-  // ImageKit helpers (CSV stores filenames only)
-  // -----------------------------------------------------------------------------
-  const envIkBase = String(process.env.IMAGEKIT_BASE_URL || "").trim();
+// Where this run wrote its pages. `dir.output` in event arguments ignores the
+// --output CLI flag, so it's worked out from a written page (outputPath minus URL).
+function runOutputDir(results, fallback) {
+  const page = (results || []).find((r) => r && r.outputPath && typeof r.url === "string" && r.url.endsWith("/"));
+  if (!page) return fallback;
+  const out = path.resolve(page.outputPath);
+  const suffix = path.join(page.url, "index.html");
+  return out.endsWith(suffix) ? out.slice(0, out.length - suffix.length) || path.sep : fallback;
+}
 
-  // Only accept a real absolute URL from env; ignore "/" or blank, etc.
-  const IK_BASE = (/^https?:\/\//i.test(envIkBase) ? envIkBase : "https://ik.imagekit.io/mevius")
-    .replace(/\/+$/, "");
-
-  const IK_PASTA_BASE = `${IK_BASE}/pasta`;
-  const IK_THUMBS = `${IK_PASTA_BASE}/thumbs/`;
-  const IK_FULL = `${IK_PASTA_BASE}/full/`;
+module.exports = function (eleventyConfig) {
+  // Existing slug filter (keep as-is; rules live in src/_lib/slug.js so the
+  // CSV validator checks slugs against the exact same behavior)
+  eleventyConfig.addFilter("slug", slugify);
 
-  // Pending placeholders (you will create these)
-  const IK_PENDING_THUMB = `${IK_THUMBS}pending.png`;
-  const IK_PENDING_PHOTO = `${IK_FULL}pending.jpg`;
+  // Typed CSV booleans (see src/_lib/pasta-schema.js) -> display text.
+  // Blank (null) stays blank so `{% if item.IsHollow | yesNo %}` skips it.
+  eleventyConfig.addFilter("yesNo", (value) => {
+    if (value === true) return "Yes";
+    if (value === false) return "No";
+    return "";
+  });
 
-  eleventyConfig.addFilter("pastaThumbUrl", (filename) => {
-    const f = String(filename || "").trim();
-    return f ? (IK_THUMBS + f) : IK_PENDING_THUMB;
+  // Pairing value ("Bolognese") -> its /pairings/<sauce>/ page, or "" when the
+  // value isn't in the sauce taxonomy (src/_lib/pasta-pairings.js)
+  eleventyConfig.addFilter("pairingUrl", (value) => {
+    const sauce = sauceFor(value);
+    if (!sauce) return "";
+    const page = getPastaPairings().pages.find((p) => p.slug === sauce.slug);
+    return page ? page.url : "";
   });
 
-  eleventyConfig.addFilter("pastaPhotoUrl", (filename) => {
-    const f = String(filename || "").trim();
-    return f ? (IK_FULL + f) : IK_PENDING_PHOTO;
+  // Region value ("Puglia (Salento)") -> /region/<slug>/ for the first Italian
+  // region it names, or "" for "Various" etc. (src/_lib/pasta-regions.js)
+  eleventyConfig.addFilter("regionUrl", (value) => {
+    const [region] = regionsIn(value);
+    return region ? `/region/${region.slug}/` : "";
   });
 
-  eleventyConfig.addFilter("pastaHeroUrl", (thumbFilename, photoFilename) => {
-    const p = String(photoFilename || "").trim();
-    if (p) return IK_FULL + p;
+  // CSV row -> true when its EditorialStatus is Draft (banner + noindex on
+  // detail pages in preview builds; src/_lib/pasta-editorial.js)
+  eleventyConfig.addFilter("isDraft", (row) => Boolean(row) && isDraft(row));
 
-    const t = String(thumbFilename || "").trim();
-    if (t) return IK_THUMBS + t;
+  // -----------------------------------------------------------------------------
+  // Image helpers (CSV stores filenames only)
+  // - Provider (ImageKit or local files resized with sharp), folders and
+  //   per-context sizes live in src/_lib/pasta-images.js
+  //   (PASTA_IMAGE_PROVIDER=imagekit|local; IMAGEKIT_BASE_URL overrides the base).
+  // -----------------------------------------------------------------------------
+  // Optional sizing params: {{ file | pastaThumbUrl({ w: 56, h: 56, f: "auto", q: 50 }) }}
+  eleventyConfig.addFilter("pastaThumbUrl", thumbUrl);
+  eleventyConfig.addFilter("pastaPhotoUrl", photoUrl);
+  eleventyConfig.addFilter("pastaHeroUrl", heroUrl);
+  // Any folder, optionally sized: {{ file | pastaAssetUrl("thumbs", { w: 56, h: 56, f: "auto", q: 50 }) }}
+  eleventyConfig.addFilter("pastaAssetUrl", (file, key = "pasta", params) => assetUrl(key, file, params));
 
-    return IK_PENDING_PHOTO;
-  });
+  // Responsive <picture> (AVIF/WebP srcset, real aspect ratio, blur-up):
+  //   {% pastaImage "thumb", item.ThumbnailImage, { alt: "" } %}
+  //   {% pastaImage "hero", item.ThumbnailImage, { photo: item.PhotoImage, alt: item.ShapeName, loading: "eager" } %}
+  eleventyConfig.addNunjucksShortcode("pastaImage", (preset, file, opts) => pastaPictureHtml(preset, file, opts || {}));
 
   // -----------------------------------------------------------------------------
   // Favicons / icons
@@ -55,7 +74,9 @@ module.exports = function (eleventyConfig) {
 
   eleventyConfig.addFilter("appleTouchIconUrl", (w = 180) => {
     const size = Number(w) || 180;
-    return `${IK_PASTA_BASE}/favicon.png?tr=w-${size},f-png,q-50`;
+    // No favicon.png with this image provider (local builds): the .ico, not the pending image
+    if (!isAvailable("pasta", "favicon.png")) return "/favicon.ico";
+    return assetUrl("pasta", "favicon.png", { w: size, f: "png", q: 50 });
   });
 
   // Ensure favicon.ico is actually published to /favicon.ico
@@ -69,6 +90,47 @@ module.exports = function (eleventyConfig) {
   // Passthrough copy: publish static JS and CSS files
   eleventyConfig.addPassthroughCopy({ "src/js": "js" });
   eleventyConfig.addPassthroughCopy({ "src/css": "css" });
+  eleventyConfig.addPassthroughCopy({ "src/img": "img" });
+
+  // Local image provider: write the resized images the templates asked for
+  // (no-op for ImageKit, which resizes on request)
+  eleventyConfig.on("eleventy.after", ({ dir, results }) => finishImages(runOutputDir(results, dir.output)));
+
+  // -----------------------------------------------------------------------------
+  // Offline (PWA) precache list
+  // - Every built page (the `pasta` collection - one detail page per CSV row -
+  //   plus home, identify, all, etc.), the JSON APIs the browser scripts fetch,
+  //   and the static JS/CSS.
+  // - Rendered into /sw.js by src/sw.njk, so a new CSV row is precached
+  //   automatically on the next build.
+  // -----------------------------------------------------------------------------
+  const PRECACHE_EXTRA = [
+    "/api/pasta-index.json",
+    "/api/pasta-features.json",
+    "/api/pasta-fulltext.json",
+    "/manifest.webmanifest",
+  ];
+
+  const staticAssetUrls = (dir, urlBase) =>
+    fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter((f) => /\.(js|css)$/.test(f)).map((f) => `${urlBase}/${f}`)
+      : [];
+
+  eleventyConfig.addCollection("offlinePrecache", (collectionApi) => {
+    const pages = collectionApi
+      .getAll()
+      .map((item) => item.url)
+      .filter((url) => url && url.endsWith("/"));
+
+    return Array.from(
+      new Set([
+        ...pages,
+        ...PRECACHE_EXTRA,
+        ...staticAssetUrls("src/js", "/js"),
+        ...staticAssetUrls("src/css", "/css"),
+      ])
+    );
+  });
 
   return {
     dir: {
@@ -5,85 +5,35 @@
 // - Detail pages paginate over `data: pasta`, so this file must load the CSV
 //   that contains your newest columns (HistoryBlurb, BestFor, etc.).
 //
-// WHY THIS CHANGE
-// - Your previous version hard-coded `pasta.csv` only.
-// - If you committed a generated file (e.g., pasta.populated.csv), Eleventy would
-//   keep building from the older CSV and your new fields would never show up.
+// WHERE THE CSV COMES FROM
+// - Discovery, parsing and typing all live in /src/_lib/pasta-csv.js, which is
+//   shared with pastaIndex.js. Rows arrive typed per /src/_lib/pasta-schema.js:
+//     - Is* / HasRuffles      -> true / false / null
+//     - FirstIntroducedYear*  -> number / null
+//     - semicolon lists       -> arrays (Synonyms, KeyTells, Substitutes*, ...)
 //
-// CSV DISCOVERY STRATEGY (in priority order)
-// 1) pasta.csv            (canonical "source of truth" filename)
-// 2) pasta.populated.csv  (generated, auto-filled version)
-// 3) pasta.updated.csv    (schema-updated version)
+// VALIDATION
+// - Every build validates the CSV (/src/_lib/pasta-validate.js) and prints a
+//   per-row / per-column report. Set PASTA_CSV_VALIDATION=fail|warn|off to
+//   choose whether errors stop the build (default: fail on Netlify production).
 //
-// NOTE
-// - This file expects the CSV to live in the SAME folder as this JS file:
-//     /src/_data/
-//   If you store your CSV elsewhere, update `candidatePaths` accordingly.
+// DRAFTS
+// - PASTA_DRAFTS=exclude drops EditorialStatus "Draft" rows from the build
+//   (validation still checks them). See /src/_lib/pasta-editorial.js.
 //
 // =============================================================================
 
-const fs = require("fs");
 const path = require("path");
-const Papa = require("papaparse");
-
-function findFirstExisting(paths) {
-  for (const p of paths) {
-    if (fs.existsSync(p)) return p;
-  }
-  return null;
-}
+const { loadPastaCsv } = require("../_lib/pasta-csv");
+const { runPastaValidation } = require("../_lib/pasta-validate");
+const { publishedRows } = require("../_lib/pasta-editorial");
 
 module.exports = () => {
-  // ---------------------------------------------------------------------------
-  // 1) Locate the best CSV file to use (first match wins)
-  // ---------------------------------------------------------------------------
-  const dataDir = __dirname;
-
-  const candidatePaths = [
-    path.join(dataDir, "pasta.csv"),
-    path.join(dataDir, "pasta.populated.csv"),
-    path.join(dataDir, "pasta.updated.csv"),
-  ];
-
-  const csvPath = findFirstExisting(candidatePaths);
-
-  if (!csvPath) {
-    // Fail loudly with a helpful message in Netlify logs
-    throw new Error(
-      [
-        "pasta.js: Could not find a pasta CSV file in /src/_data/.",
-        "Tried:",
-        ...candidatePaths.map((p) => `- ${p}`),
-        "",
-        "Fix:",
-        "- Ensure one of these files exists in /src/_data/, OR",
-        "- Update candidatePaths in /src/_data/pasta.js to the correct location.",
-      ].join("\n")
-    );
-  }
-
-  // Helpful signal in Netlify build logs so we can confirm the right file loaded
-  console.log(
-    `pasta.js: Loading pasta data from ${path.relative(process.cwd(), csvPath)}`
-  );
-
-  // ---------------------------------------------------------------------------
-  // 2) Parse CSV -> array of row objects (keys = headers)
-  // ---------------------------------------------------------------------------
-  const csv = fs.readFileSync(csvPath, "utf8");
-
-  const parsed = Papa.parse(csv, {
-    header: true,
-    skipEmptyLines: true,
-  });
+  const loaded = loadPastaCsv();
 
-  // If there are parse errors, surface a little signal in Netlify logs
-  if (parsed.errors && parsed.errors.length) {
-    console.warn("pasta.js: CSV parse errors (first 3):", parsed.errors.slice(0, 3));
-  }
+  // Parse errors are part of the validation report (and fail the build in fail mode)
+  runPastaValidation(loaded, { csvLabel: path.basename(loaded.csvPath) });
 
-  // ---------------------------------------------------------------------------
-  // 3) Return the dataset Eleventy will expose as `data.pasta`
-  // ---------------------------------------------------------------------------
-  return parsed.data;
+  // Return the dataset Eleventy will expose as `data.pasta`
+  return publishedRows(loaded.rows);
 };
@@ -0,0 +1,6 @@
+// src/_data/pastaChanges.js
+// Exposes the dataset changelog (archive snapshots -> live CSV) as `data.pastaChanges`.
+// Diffing rules live in /src/_lib/pasta-changes.js (shared with tools/pasta-changes.js).
+const { getPastaChanges } = require("../_lib/pasta-changes");
+
+module.exports = () => getPastaChanges();
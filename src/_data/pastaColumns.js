@@ -0,0 +1,6 @@
+// src/_data/pastaColumns.js
+// Exposes the /all/ column picker groups as `data.pastaColumns`.
+// Groups + labels live in /src/_lib/pasta-columns.js (shared with /api/pasta-table.json).
+const { buildColumnGroups } = require("../_lib/pasta-columns");
+
+module.exports = () => buildColumnGroups();
@@ -0,0 +1,6 @@
+// src/_data/pastaEditorial.js
+// Exposes the /editorial/ dashboard data (and the preview flag) as `data.pastaEditorial`.
+// Status, staleness and key-field rules live in /src/_lib/pasta-editorial.js.
+const { getPastaEditorial } = require("../_lib/pasta-editorial");
+
+module.exports = () => getPastaEditorial();
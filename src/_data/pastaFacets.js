@@ -0,0 +1,8 @@
+// src/_data/pastaFacets.js
+// Exposes the /all/ facet panel (facets + per-slug values) as `data.pastaFacets`.
+// Facet definitions live in /src/_lib/pasta-facets.js.
+const { loadPastaCsv } = require("../_lib/pasta-csv");
+const { buildPastaFacets } = require("../_lib/pasta-facets");
+const { publishedRows } = require("../_lib/pasta-editorial");
+
+module.exports = () => buildPastaFacets(publishedRows(loadPastaCsv().rows));
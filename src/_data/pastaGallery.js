@@ -0,0 +1,7 @@
+// src/_data/pastaGallery.js
+// Exposes the detail-page gallery (uncooked/cooked images with captions and
+// Commons credits) as `data.pastaGallery.bySlug`.
+// Built in /src/_lib/pasta-gallery.js.
+const { getPastaGallery } = require("../_lib/pasta-gallery");
+
+module.exports = () => getPastaGallery();
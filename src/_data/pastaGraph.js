@@ -0,0 +1,6 @@
+// src/_data/pastaGraph.js
+// Exposes the shape relationship graph (confused-with / substitutes / see-also)
+// as `data.pastaGraph`. Built in /src/_lib/pasta-graph.js.
+const { getPastaGraph } = require("../_lib/pasta-graph");
+
+module.exports = () => getPastaGraph();
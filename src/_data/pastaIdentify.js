@@ -0,0 +1,9 @@
+// src/_data/pastaIdentify.js
+// Exposes the /identify/ question set and every shape's answers as
+// `data.pastaIdentify` ({ questions, featuresBySlug }).
+// Questions are defined in /src/_lib/identify-questions.js.
+const { loadPastaCsv } = require("../_lib/pasta-csv");
+const { buildPastaIdentify } = require("../_lib/identify-questions");
+const { publishedRows } = require("../_lib/pasta-editorial");
+
+module.exports = () => buildPastaIdentify(publishedRows(loadPastaCsv().rows));
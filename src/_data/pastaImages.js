@@ -0,0 +1,11 @@
+// src/_data/pastaImages.js
+// Exposes the image provider's name and the folder URLs browser scripts build on
+// as `data.pastaImages` ({ provider, carousel, identify }).
+// Configured once in /src/_lib/pasta-images.js (PASTA_IMAGE_PROVIDER picks the backend).
+const { providerName, folderUrl } = require("../_lib/pasta-images");
+
+module.exports = () => ({
+  provider: providerName(),
+  carousel: folderUrl("carousel"),
+  identify: folderUrl("identify"),
+});
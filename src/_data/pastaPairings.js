@@ -0,0 +1,6 @@
+// src/_data/pastaPairings.js
+// Exposes the sauce taxonomy (families, sauces, ranked shapes per sauce) as
+// `data.pastaPairings`. Built in /src/_lib/pasta-pairings.js.
+const { getPastaPairings } = require("../_lib/pasta-pairings");
+
+module.exports = () => getPastaPairings();
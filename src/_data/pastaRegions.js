@@ -0,0 +1,8 @@
+// src/_data/pastaRegions.js
+// Exposes shapes grouped by Italian region, plus the SVG outlines for the
+// /regions/ map, as `data.pastaRegions`. Built in /src/_lib/pasta-regions.js
+// and /src/_lib/italy-map.js.
+const { getPastaRegions } = require("../_lib/pasta-regions");
+const { buildItalyMap } = require("../_lib/italy-map");
+
+module.exports = () => ({ ...getPastaRegions(), map: buildItalyMap() });
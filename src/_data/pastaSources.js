@@ -0,0 +1,7 @@
+// src/_data/pastaSources.js
+// Exposes per-shape citations (numbered references + footnote markers per
+// section) and the /sources/ index as `data.pastaSources`.
+// Built in /src/_lib/pasta-sources.js.
+const { getPastaSources } = require("../_lib/pasta-sources");
+
+module.exports = () => getPastaSources();
@@ -0,0 +1,6 @@
+// src/_data/pastaTimeline.js
+// Exposes the /timeline/ data (era lanes of dated shapes + the undated lane)
+// as `data.pastaTimeline`. Built in /src/_lib/pasta-timeline.js.
+const { getPastaTimeline } = require("../_lib/pasta-timeline");
+
+module.exports = () => getPastaTimeline();
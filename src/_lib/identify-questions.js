@@ -0,0 +1,310 @@
+// src/_lib/identify-questions.js
+// =============================================================================
+// PURPOSE
+// - The question set for the /identify/ page (its embedded script, through
+//   data.pastaIdentify), and the per-shape features it scores against (also
+//   published as /api/pasta-features.json).
+// - Adding a geometry column to identify = one entry here. Every shape gets
+//   the feature and the answer options are derived from the data, so neither
+//   the script nor the template need editing.
+//
+// FIELDS
+// - column  CSV column (see pasta-schema.js). Bool columns become Yes / No;
+//           text columns offer every value present in the data.
+// - kind    "type"        always asked first
+//           "structural"  asked in "next best question" order
+//           "subjective"  only offered when many candidates remain
+// - weight  how much a mismatch costs in score mode (higher = more reliable)
+// - labels  optional display labels per (lowercased) value
+// - title / desc    short label + hint
+// - prompt / help   the question as /identify/ asks it, one at a time
+//                   (default: title / desc)
+// - descs   optional one-line description per answer value ("1" / "0" for bools)
+// - icon    optional answer icon file in the "identify" image folder;
+//           "{value}" is replaced by the answer value
+//
+// The feature key in the API is the column name with a lowercase first letter
+// (IsHollow -> isHollow, CrossSection -> crossSection).
+// =============================================================================
+
+const { COLUMNS, COLUMN_TYPES } = require("./pasta-schema");
+
+// Free-text enum values seen fewer times than this are left out of the options
+// (one-off notes like a long MadeMethod description aren't useful answers).
+const MIN_OPTION_COUNT = 2;
+
+const IDENTIFY_QUESTIONS = [
+  {
+    column: "Type",
+    kind: "type",
+    weight: 3,
+    title: "Type",
+    desc: "Start with the overall form - long strands, tubes, sheets, stuffed, soup shapes, etc.",
+    prompt: "What general type is it?",
+    help: "Start broad - this narrows the list quickly.",
+    descs: {
+      strand: "Long, thin noodles (round or slightly flattened).",
+      tube: "Hollow pasta designed to hold sauce inside.",
+      ribbon: "Long, flat strips like fettuccine-style cuts.",
+      sheet: "Sheets used for layering or cutting (lasagna-style).",
+      short: "Short shapes that scoop, trap, or cling to sauce.",
+      stuffed: "Filled pasta (pockets, pillows, or sealed edges).",
+      soup: "Tiny pasta made for spoons and brothy soups.",
+      ring: "Rings that catch sauce in openings.",
+      dumpling: "Pasta-like dumplings (often irregular or rustic).",
+    },
+    icon: "{value}.png",
+    labels: { short: "Short cut", soup: "Soup (Pastina)" },
+  },
+  {
+    column: "IsPastina",
+    kind: "structural",
+    weight: 2,
+    title: "Pastina",
+    desc: "Is it a tiny, spoon-sized soup pasta?",
+    prompt: "Is it a tiny soup pasta (pastina)?",
+    help: "If you’re holding a spoon-sized pasta, this helps a lot.",
+    descs: { 1: "Small spoon-sized pieces (often cooked in broth).", 0: "Not a tiny soup pasta." },
+  },
+  {
+    column: "IsStuffed",
+    kind: "structural",
+    weight: 2.5,
+    title: "Stuffed",
+    desc: "Does it have a filling (cheese, meat, vegetables)?",
+    prompt: "Is it stuffed?",
+    help: "Stuffed pasta has a filling (cheese, meat, veg).",
+    descs: { 1: "Contains a filling.", 0: "No filling inside." },
+  },
+  {
+    column: "IsHollow",
+    kind: "structural",
+    weight: 2.5,
+    title: "Hollow",
+    desc: "Does it have a hole or tube running through it (like penne or rigatoni)?",
+    prompt: "Is it hollow?",
+    help: "Hollow pasta has a visible tube or cavity.",
+    descs: { 1: "You can see a tube or opening through the shape.", 0: "Solid pasta - no tube or cavity." },
+  },
+  {
+    column: "CrossSection",
+    kind: "structural",
+    weight: 2,
+    title: "Cross-section",
+    desc: "Round strands or tubes, flat ribbons or sheets, or something else?",
+    prompt: "What’s the cross-section?",
+    help: "Round strands/tubes vs flat ribbons/sheets vs other shapes.",
+    descs: { round: "Round strand or tube.", flat: "Flat ribbon or sheet.", other: "Not clearly round or flat." },
+    icon: "crossSection-{value}.png",
+  },
+  {
+    column: "PrimaryGeometry",
+    kind: "structural",
+    weight: 2,
+    title: "Overall geometry",
+    desc: "The closest family: strand, tube, shell, elbow, spiral, ruffle...",
+    prompt: "Which family does it look like?",
+    help: "Pick the closest overall geometry.",
+  },
+  {
+    column: "IsRidged",
+    kind: "structural",
+    weight: 1.5,
+    title: "Ridged",
+    desc: "Are there ridges or grooves on the surface (often used to grab sauce)?",
+    prompt: "Does it have ridges?",
+    help: "Ridges (rigate) help grip sauce.",
+    descs: { 1: "Noticeable grooves or ridges on the surface.", 0: "Mostly smooth surface." },
+  },
+  {
+    column: "IsTwisted",
+    kind: "structural",
+    weight: 2,
+    title: "Twisted",
+    desc: "Is the shape spiraled or twisted (like fusilli)?",
+    prompt: "Is it twisted?",
+    help: "Twisted shapes include spirals and corkscrews.",
+    descs: { 1: "Spiraled or corkscrew-like geometry.", 0: "Not spiraled or twisted." },
+  },
+  {
+    column: "IsCurved",
+    kind: "structural",
+    weight: 1.5,
+    title: "Curved",
+    desc: "Is the shape notably curved (like elbows or shells)?",
+    prompt: "Is it curved?",
+    help: "Curved shapes include elbows, crescents, and arcs.",
+    descs: { 1: "Bent or arced rather than straight.", 0: "Straight rather than bent." },
+  },
+  {
+    column: "IsConcave",
+    kind: "structural",
+    weight: 2,
+    title: "Concave",
+    desc: "Is it cup-like, made to scoop sauce (like orecchiette)?",
+    prompt: "Is it concave (cup-like)?",
+    help: "Some shapes scoop sauce (like little cups or shells).",
+    descs: { 1: "Has a cup/scoop shape (concave).", 0: "Not cup-like." },
+  },
+  {
+    column: "HasRuffles",
+    kind: "structural",
+    weight: 2,
+    title: "Ruffles",
+    desc: "Does it have wavy or ruffled edges (like mafaldine)?",
+    prompt: "Does it have ruffles?",
+    help: "Wavy or ruffled edges (often great sauce grippers).",
+    descs: { 1: "Has ruffled/wavy edges.", 0: "Edges are mostly straight/smooth." },
+  },
+  {
+    column: "CutStyle",
+    kind: "structural",
+    weight: 1.5,
+    title: "Cut",
+    desc: "Straight or diagonal cut, pinched in the middle, or folded into a pocket?",
+    prompt: "How is it cut or formed?",
+    help: "Straight vs diagonal cuts, pinched shapes, or folded stuffed pastas.",
+    descs: {
+      straight: "A clean straight cut.",
+      diagonal: "Cut at an angle.",
+      pinched: "Pinched/compressed (like a bow-tie).",
+      folded: "Folded into a pocket or dumpling shape.",
+    },
+    icon: "cutStyle-{value}.png",
+  },
+  {
+    column: "SizeClass",
+    kind: "subjective",
+    weight: 1,
+    title: "Size",
+    desc: "A rough bucket - small / medium / large. Helpful as a last step, but subjective.",
+    prompt: "How big is it?",
+    help: "Roughly - compared with a penne or a grain of rice.",
+  },
+  {
+    column: "MadeMethod",
+    kind: "subjective",
+    weight: 1,
+    title: "How it's made",
+    desc: "Extruded through a die, rolled and cut, formed from a sheet, or stuffed?",
+    prompt: "How was it made?",
+    help: "Pressed through a die, rolled and cut, shaped from a sheet, or filled.",
+    labels: { "rolled-cut": "Rolled & cut", "sheet-formed": "Sheet-formed" },
+  },
+];
+
+function featureKey(column) {
+  return column.charAt(0).toLowerCase() + column.slice(1);
+}
+
+function isBoolQuestion(q) {
+  return COLUMN_TYPES[q.column] === "bool";
+}
+
+/**
+ * The published value of a question's column for one typed row.
+ * Bools keep the API's "1" / "0" / "" tokens; text is trimmed as-is.
+ */
+function featureValue(row, q) {
+  const v = row[q.column];
+  if (isBoolQuestion(q)) {
+    if (v === true) return "1";
+    if (v === false) return "0";
+    return "";
+  }
+  return String(v ?? "").trim();
+}
+
+function labelFor(q, value, fallback) {
+  if (q.labels && q.labels[value]) return q.labels[value];
+  const text = String(fallback || value);
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Answer options for one question: [{ value, label, count }].
+ * - Bools: Yes / No.
+ * - Columns with declared `values` keep the schema order.
+ * - Other text columns: most common first.
+ */
+function buildOptions(rows, q) {
+  if (isBoolQuestion(q)) {
+    const count = (token) => rows.filter((r) => featureValue(r, q) === token).length;
+    return [
+      { value: "1", label: "Yes", count: count("1") },
+      { value: "0", label: "No", count: count("0") },
+    ].filter((o) => o.count > 0);
+  }
+
+  // value (lowercased) -> { label, count }; the label keeps the CSV's casing
+  const seen = new Map();
+  for (const r of rows) {
+    const raw = featureValue(r, q);
+    const value = raw.toLowerCase();
+    if (!value) continue;
+    if (!seen.has(value)) seen.set(value, { label: raw, count: 0 });
+    seen.get(value).count += 1;
+  }
+
+  const declared = (COLUMNS.find((c) => c.name === q.column) || {}).values;
+  let values = Array.from(seen.keys());
+
+  if (Array.isArray(declared)) {
+    const order = declared.map((v) => v.toLowerCase());
+    values.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+  } else {
+    values = values.filter((v) => seen.get(v).count >= MIN_OPTION_COUNT);
+    values.sort((a, b) => seen.get(b).count - seen.get(a).count || a.localeCompare(b));
+  }
+
+  return values.map((value) => ({
+    value,
+    label: labelFor(q, value, seen.get(value).label),
+    count: seen.get(value).count,
+  }));
+}
+
+/**
+ * Question definitions for the /identify/ page (with data-derived options).
+ * Questions whose column is blank for every row are skipped.
+ */
+function buildIdentifyQuestions(rows) {
+  return IDENTIFY_QUESTIONS.map((q) => ({
+    key: featureKey(q.column),
+    column: q.column,
+    kind: q.kind,
+    bool: isBoolQuestion(q),
+    weight: q.weight,
+    prompt: q.prompt || q.title,
+    help: q.help || q.desc,
+    descs: q.descs || {},
+    icon: q.icon || "",
+    options: buildOptions(rows, q),
+  })).filter((q) => q.options.length);
+}
+
+/**
+ * Identify features for one row: { [featureKey]: value }.
+ */
+function identifyFeatures(row) {
+  const out = {};
+  for (const q of IDENTIFY_QUESTIONS) out[featureKey(q.column)] = featureValue(row, q);
+  return out;
+}
+
+/**
+ * What the /identify/ page needs: { questions, featuresBySlug: { slug: features } }.
+ */
+function buildPastaIdentify(rows) {
+  const featuresBySlug = {};
+  for (const r of rows) if (r.Slug) featuresBySlug[r.Slug] = identifyFeatures(r);
+  return { questions: buildIdentifyQuestions(rows), featuresBySlug };
+}
+
+module.exports = {
+  IDENTIFY_QUESTIONS,
+  featureKey,
+  buildIdentifyQuestions,
+  identifyFeatures,
+  buildPastaIdentify,
+};
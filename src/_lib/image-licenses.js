@@ -0,0 +1,74 @@
+// src/_lib/image-licenses.js
+// =============================================================================
+// PURPOSE
+// - The image licenses the site is allowed to publish, and the sidecar file
+//   recording each downloaded image's author and license.
+// - Shared by tools/pasta-images-downloader/commons_metadata.js (which fetches
+//   the metadata and fails on anything not allowed) and the detail-page
+//   gallery (src/_lib/pasta-gallery.js), which credits each photo from it.
+//
+// SIDECAR (tools/pasta-images-downloader/image-metadata.json)
+// - Keyed by manifest.csv's relative_output_path ("cooked/penne.jpg"):
+//   { source_url, title, page_url, author, license, license_url, fetched_at }
+//   `license` is Commons' LicenseShortName ("CC BY-SA 4.0"); `author` is
+//   plain text (Commons' Artist field with the HTML stripped).
+//
+// ALLOWED
+// - Public domain / CC0, CC BY and CC BY-SA, any version or port. Nothing
+//   NonCommercial or NoDerivatives, and no GFDL-only files (its full-text
+//   requirement doesn't fit a credit line).
+// =============================================================================
+
+const fs = require("fs");
+const path = require("path");
+
+const METADATA_PATH = path.join(__dirname, "..", "..", "tools", "pasta-images-downloader", "image-metadata.json");
+
+// `test` runs against the license short name; `attribution` = needs a credit
+const ALLOWED_LICENSES = [
+  { id: "cc0", test: /^cc0\b/i, attribution: false },
+  { id: "public-domain", test: /^(public domain|pd\b|pdm\b)/i, attribution: false },
+  { id: "cc-by", test: /^cc[ -]by \d/i, attribution: true },
+  { id: "cc-by-sa", test: /^cc[ -]by-sa \d/i, attribution: true },
+];
+
+/**
+ * The allowed-license entry for a license short name, or null.
+ */
+function allowedLicense(name) {
+  const n = String(name || "").trim();
+  if (!n) return null;
+  return ALLOWED_LICENSES.find((l) => l.test.test(n)) || null;
+}
+
+/**
+ * "" when a sidecar entry is fine to publish, else why not.
+ */
+function licenseProblem(meta) {
+  if (!meta) return "no license metadata";
+  if (!String(meta.license || "").trim()) return "no license recorded";
+  const allowed = allowedLicense(meta.license);
+  if (!allowed) return `license not allowed: ${meta.license}`;
+  if (allowed.attribution && !String(meta.author || "").trim()) return `${meta.license} needs an author`;
+  return "";
+}
+
+/**
+ * The sidecar as an object ({} when it hasn't been generated yet).
+ */
+function loadImageMetadata(metadataPath = METADATA_PATH) {
+  if (!fs.existsSync(metadataPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(metadataPath, "utf8"));
+  } catch (err) {
+    throw new Error(`image-licenses.js: can't parse ${metadataPath}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  METADATA_PATH,
+  ALLOWED_LICENSES,
+  allowedLicense,
+  licenseProblem,
+  loadImageMetadata,
+};
@@ -0,0 +1,65 @@
+// src/_lib/image-provider-imagekit.js
+// =============================================================================
+// PURPOSE
+// - Image provider (see src/_lib/pasta-images.js) that serves everything from
+//   ImageKit: files live in folders under one base URL and every resize /
+//   format change is a `?tr=` transformation, so the build writes nothing.
+// - IMAGEKIT_BASE_URL (absolute URL) overrides the default account.
+// =============================================================================
+
+const DEFAULT_BASE = "https://ik.imagekit.io/mevius";
+
+// Folder keys (used by pasta-images.js) -> paths under the base
+const FOLDERS = {
+  pasta: "pasta/",
+  thumbs: "pasta/thumbs/",
+  full: "pasta/full/",
+  carousel: "pasta/carousel/",
+  identify: "pasta/identify/",
+};
+
+// Placeholders uploaded next to the real files
+const PENDING = { thumbs: "pending.png", full: "pending.jpg" };
+
+function imagekitBase() {
+  const env = String(process.env.IMAGEKIT_BASE_URL || "").trim();
+  // Only accept a real absolute URL from env; ignore "/" or blank, etc.
+  return (/^https?:\/\//i.test(env) ? env : DEFAULT_BASE).replace(/\/+$/, "");
+}
+
+/**
+ * ImageKit transform: ({ w: 56, h: 56, f: "auto", q: 50 }) -> "?tr=w-56,h-56,f-auto,q-50".
+ * Keys keep ImageKit's own names; empty values are skipped.
+ */
+function transform(url, params = {}) {
+  const tr = Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .map(([k, v]) => `${k}-${v}`)
+    .join(",");
+  if (!tr) return url;
+  return `${url}${url.includes("?") ? "&" : "?"}tr=${tr}`;
+}
+
+function createImagekitProvider() {
+  const base = imagekitBase();
+  const folderUrl = (key) => `${base}/${FOLDERS[key] || FOLDERS.pasta}`;
+
+  return {
+    name: "imagekit",
+    formats: ["avif", "webp"],
+    folderUrl,
+    // Can't tell without a request; a missing file is ImageKit's own 404
+    listsFiles: false,
+    has: () => true,
+    fileUrl: (key, file, params) => transform(folderUrl(key) + file, params),
+    urlWithParams: (url, params) => transform(url, params),
+    pendingUrl: (key, params) => transform(folderUrl(key) + (PENDING[key] || PENDING.thumbs), params),
+    finish: async () => {},
+  };
+}
+
+module.exports = {
+  imagekitBase,
+  transform,
+  createImagekitProvider,
+};
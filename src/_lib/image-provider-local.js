@@ -0,0 +1,173 @@
+// src/_lib/image-provider-local.js
+// =============================================================================
+// PURPOSE
+// - Image provider (see src/_lib/pasta-images.js) for builds without
+//   ImageKit: images come from the folders tools/pasta-images-downloader
+//   writes (uncooked/<slug>.<ext>, cooked/<slug>.<ext>) and are resized /
+//   converted with sharp into <output>/img/pasta/ after the build.
+//
+// SOURCES (under PASTA_IMAGES_DIR, default tools/pasta-images-downloader)
+// - thumbs -> uncooked/, full -> cooked/, carousel -> carousel/,
+//   identify -> identify/, pasta -> the folder itself.
+// - Files match by filename stem, whatever their type: the CSV's
+//   "rigatoni.png" finds uncooked/rigatoni.jpg.
+// - Folders the browser scripts build URLs into (identify icons, carousel)
+//   are copied as they are.
+//
+// HOW IT WORKS
+// - fileUrl() only records a job and returns its URL
+//   (/img/pasta/thumbs/rigatoni-w56-h56-q50.webp); finish() - run from the
+//   eleventy.after event in .eleventy.js - writes them. Outputs newer than
+//   their source are skipped, so `eleventy --serve` rebuilds stay fast.
+// - Files with no source show /img/pending.svg.
+// =============================================================================
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_SOURCE_DIR = path.join(__dirname, "..", "..", "tools", "pasta-images-downloader");
+const OUTPUT_PATH = "img/pasta";
+const PENDING_URL = "/img/pending.svg";
+
+// Folder keys (used by pasta-images.js) -> source subfolder
+const SOURCE_FOLDERS = {
+  pasta: ".",
+  thumbs: "uncooked",
+  full: "cooked",
+  carousel: "carousel",
+  identify: "identify",
+};
+
+const IMAGE_EXTS = [".jpg", ".jpeg", ".png", ".webp", ".avif", ".gif", ".tif", ".tiff"];
+
+// Output extension -> sharp format
+const SHARP_FORMATS = { jpg: "jpeg", jpeg: "jpeg", png: "png", webp: "webp", avif: "avif", gif: "gif", tif: "tiff", tiff: "tiff" };
+
+function sourceDir() {
+  const env = String(process.env.PASTA_IMAGES_DIR || "").trim();
+  return env ? path.resolve(env) : DEFAULT_SOURCE_DIR;
+}
+
+const stemOf = (file) => path.basename(String(file), path.extname(String(file))).toLowerCase();
+const extOf = (file) => path.extname(String(file)).slice(1).toLowerCase();
+
+function createLocalProvider() {
+  const root = sourceDir();
+  const listings = new Map(); // source subfolder -> Map(stem -> absolute path)
+  const jobs = new Map(); // output path (relative to OUTPUT_PATH) -> job
+  const mirrored = new Set(); // folders copied whole for the browser scripts
+
+  function sourcesIn(folder) {
+    const sub = SOURCE_FOLDERS[folder];
+    if (!sub) return new Map();
+    if (!listings.has(sub)) {
+      const dir = path.join(root, sub);
+      const byStem = new Map();
+      if (fs.existsSync(dir)) {
+        for (const f of fs.readdirSync(dir)) {
+          if (IMAGE_EXTS.includes(path.extname(f).toLowerCase())) byStem.set(stemOf(f), path.join(dir, f));
+        }
+      }
+      listings.set(sub, byStem);
+    }
+    return listings.get(sub);
+  }
+
+  // Output subfolder: /img/pasta/thumbs/, /img/pasta/full/, ... (pasta -> /img/pasta/)
+  const outFolder = (key) => (key === "pasta" ? "" : `${key}/`);
+
+  const has = (folder, file) => sourcesIn(folder).has(stemOf(file));
+
+  function fileUrl(folder, file, params = {}) {
+    const src = sourcesIn(folder).get(stemOf(file));
+    if (!src) return PENDING_URL;
+
+    // f-auto keeps the requested file's own type (the CSV's .png, say)
+    const wanted = params.f && params.f !== "auto" ? params.f : extOf(file) || extOf(src);
+    const ext = wanted === "jpeg" ? "jpg" : wanted;
+    const suffix = [
+      params.w && `w${params.w}`,
+      params.h && `h${params.h}`,
+      params.q && `q${params.q}`,
+      params.bl && `bl${params.bl}`,
+    ]
+      .filter(Boolean)
+      .join("-");
+    const rel = `${outFolder(folder)}${stemOf(file)}${suffix ? `-${suffix}` : ""}.${ext}`;
+
+    if (!jobs.has(rel)) jobs.set(rel, { src, rel, ext, ...params });
+    return `/${OUTPUT_PATH}/${rel}`;
+  }
+
+  function folderUrl(folder) {
+    mirrored.add(folder);
+    return `/${OUTPUT_PATH}/${outFolder(folder)}`;
+  }
+
+  function isFresh(src, out) {
+    return fs.existsSync(out) && fs.statSync(out).mtimeMs >= fs.statSync(src).mtimeMs;
+  }
+
+  async function writeJob(sharp, job, outputDir) {
+    const out = path.join(outputDir, OUTPUT_PATH, job.rel);
+    if (isFresh(job.src, out)) return;
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+
+    let img = sharp(job.src, { animated: false }).rotate();
+    if (job.w || job.h) img = img.resize(job.w || null, job.h || null, { fit: "cover" });
+    if (job.bl) img = img.blur(Math.max(0.3, Number(job.bl) / 2));
+    const format = SHARP_FORMATS[job.ext] || "png";
+    await img.toFormat(format, job.q ? { quality: Number(job.q) } : {}).toFile(out);
+  }
+
+  /**
+   * Write every recorded image (and mirrored folder) under outputDir.
+   */
+  async function finish(outputDir) {
+    for (const folder of mirrored) {
+      for (const [, src] of sourcesIn(folder)) {
+        const out = path.join(outputDir, OUTPUT_PATH, outFolder(folder), path.basename(src));
+        if (isFresh(src, out)) continue;
+        fs.mkdirSync(path.dirname(out), { recursive: true });
+        fs.copyFileSync(src, out);
+      }
+    }
+
+    if (!jobs.size) return;
+    // Only local builds need sharp, so it's loaded here rather than up top
+    const sharp = require("sharp");
+    let failed = 0;
+    for (const job of jobs.values()) {
+      try {
+        await writeJob(sharp, job, outputDir);
+      } catch (err) {
+        failed++;
+        console.warn(`image-provider-local.js: ${path.relative(root, job.src)} -> ${job.rel}: ${err.message}`);
+      }
+    }
+    console.log(
+      `image-provider-local.js: ${jobs.size - failed} image(s) ready in ${path.join(outputDir, OUTPUT_PATH)}` +
+        (failed ? ` (${failed} failed)` : "")
+    );
+  }
+
+  return {
+    name: "local",
+    formats: ["avif", "webp"],
+    listsFiles: true,
+    has,
+    folderUrl,
+    fileUrl,
+    // Remote URLs can't be resized here; they're used as they are
+    urlWithParams: (url) => url,
+    pendingUrl: () => PENDING_URL,
+    finish,
+  };
+}
+
+module.exports = {
+  SOURCE_FOLDERS,
+  IMAGE_EXTS,
+  sourceDir,
+  createLocalProvider,
+};
@@ -0,0 +1,145 @@
+// src/_lib/italy-map.js
+// =============================================================================
+// PURPOSE
+// - Simplified outlines of Italy's 20 regions for the inline SVG map on
+//   /regions/ (src/regions/index.njk). Hand-simplified to a few dozen points
+//   per region: good enough to recognise and click, not for measuring.
+//
+// FORMAT
+// - OUTLINES  { regionSlug: [[lon, lat], ...] } (closed implicitly)
+//   Neighbouring regions share their border points exactly, so the shapes
+//   tile without gaps. Slugs match REGIONS in pasta-regions.js.
+// - Projection is equirectangular with longitude scaled by cos(42°), which
+//   is close enough over Italy's span.
+// =============================================================================
+
+const OUTLINES = {
+  "aosta-valley": [
+    [6.8, 45.75], [7.0, 45.95], [7.6, 45.95], [7.9, 45.85], [7.85, 45.55], [7.1, 45.5],
+  ],
+  piedmont: [
+    [7.1, 45.5], [7.85, 45.55], [7.9, 45.85], [8.1, 46.2], [8.4, 46.45], [8.7, 46.1], [8.6, 45.6],
+    [8.75, 45.2], [9.2, 44.95], [9.2, 44.65], [8.7, 44.5], [8.2, 44.4], [7.7, 44.1], [6.95, 44.2],
+    [7.0, 44.7], [6.6, 45.1],
+  ],
+  liguria: [
+    [7.5, 43.8], [8.0, 43.9], [8.4, 44.25], [8.9, 44.4], [9.3, 44.3], [9.8, 44.1], [10.05, 44.05],
+    [9.7, 44.4], [9.2, 44.65], [8.7, 44.5], [8.2, 44.4], [7.7, 44.1],
+  ],
+  lombardy: [
+    [8.75, 45.2], [9.2, 44.95], [9.9, 45.1], [10.5, 44.95], [11.4, 45.0], [10.7, 45.45], [10.85, 45.85],
+    [10.5, 46.5], [10.1, 46.6], [9.3, 46.5], [9.0, 45.85], [8.7, 46.1], [8.6, 45.6],
+  ],
+  "trentino-alto-adige": [
+    [10.85, 45.85], [10.5, 46.5], [10.45, 46.85], [11.0, 46.8], [11.6, 47.0], [12.2, 47.1], [12.45, 46.7],
+    [11.85, 46.3], [11.7, 45.95], [11.2, 45.75],
+  ],
+  veneto: [
+    [10.7, 45.45], [10.85, 45.85], [11.2, 45.75], [11.7, 45.95], [11.85, 46.3], [12.45, 46.7], [12.7, 46.65],
+    [12.6, 46.1], [12.9, 45.9], [13.1, 45.65], [12.5, 45.5], [12.3, 45.25], [12.4, 44.9], [11.4, 45.0],
+  ],
+  "friuli-venezia-giulia": [
+    [12.7, 46.65], [13.7, 46.55], [13.5, 46.2], [13.7, 45.8], [13.9, 45.6], [13.5, 45.75], [13.1, 45.65],
+    [12.9, 45.9], [12.6, 46.1],
+  ],
+  "emilia-romagna": [
+    [9.2, 44.95], [9.9, 45.1], [10.5, 44.95], [11.4, 45.0], [12.4, 44.9], [12.3, 44.5], [12.75, 43.95],
+    [12.4, 43.7], [12.0, 43.75], [11.7, 43.9], [11.2, 44.1], [10.8, 44.15], [10.2, 44.3], [9.7, 44.4],
+    [9.2, 44.65],
+  ],
+  tuscany: [
+    [9.7, 44.4], [10.05, 44.05], [10.25, 43.6], [10.5, 43.2], [10.55, 42.95], [11.1, 42.55], [11.45, 42.4],
+    [11.75, 42.75], [11.95, 42.9], [12.05, 43.25], [12.25, 43.55], [12.4, 43.7], [12.0, 43.75], [11.7, 43.9],
+    [11.2, 44.1], [10.8, 44.15], [10.2, 44.3],
+  ],
+  marche: [
+    [12.4, 43.7], [12.75, 43.95], [13.6, 43.55], [13.9, 42.9], [13.35, 42.7], [13.1, 42.85], [12.85, 43.15],
+    [12.5, 43.45], [12.25, 43.55],
+  ],
+  umbria: [
+    [12.25, 43.55], [12.5, 43.45], [12.85, 43.15], [13.1, 42.85], [13.0, 42.6], [12.5, 42.4], [12.0, 42.6],
+    [11.95, 42.9], [12.05, 43.25],
+  ],
+  lazio: [
+    [11.45, 42.4], [12.2, 41.85], [12.6, 41.45], [13.0, 41.25], [13.75, 41.2], [14.0, 41.45], [13.95, 41.65],
+    [13.6, 41.85], [13.3, 42.2], [13.35, 42.7], [13.1, 42.85], [13.0, 42.6], [12.5, 42.4], [12.0, 42.6],
+    [11.95, 42.9], [11.75, 42.75],
+  ],
+  abruzzo: [
+    [13.35, 42.7], [13.9, 42.9], [14.25, 42.45], [14.75, 42.05], [14.35, 41.85], [13.95, 41.65], [13.6, 41.85],
+    [13.3, 42.2],
+  ],
+  molise: [
+    [14.75, 42.05], [15.15, 41.95], [14.95, 41.45], [14.45, 41.35], [14.0, 41.45], [13.95, 41.65], [14.35, 41.85],
+  ],
+  campania: [
+    [13.75, 41.2], [14.0, 41.45], [14.45, 41.35], [14.95, 41.45], [15.3, 41.15], [15.55, 40.9], [15.6, 40.45],
+    [15.65, 40.05], [15.3, 40.0], [15.0, 40.35], [14.75, 40.65], [14.35, 40.6], [14.25, 40.8], [14.0, 40.95],
+  ],
+  apulia: [
+    [15.15, 41.95], [15.55, 41.92], [15.9, 41.95], [16.15, 41.85], [15.95, 41.55], [16.4, 41.3], [16.85, 41.15],
+    [17.5, 40.85], [18.0, 40.6], [18.5, 40.15], [18.35, 39.8], [18.0, 40.05], [17.5, 40.3], [17.0, 40.45],
+    [16.85, 40.4], [16.6, 40.75], [16.1, 40.95], [15.55, 40.9], [15.3, 41.15], [14.95, 41.45],
+  ],
+  basilicata: [
+    [15.55, 40.9], [16.1, 40.95], [16.6, 40.75], [16.85, 40.4], [16.6, 40.1], [16.2, 39.95], [15.75, 39.95],
+    [15.65, 40.05], [15.6, 40.45],
+  ],
+  calabria: [
+    [15.75, 39.95], [16.2, 39.95], [16.6, 40.1], [16.5, 39.7], [17.15, 39.4], [17.1, 38.9], [16.55, 38.45],
+    [16.1, 38.0], [15.65, 37.95], [15.65, 38.25], [15.9, 38.5], [16.2, 38.9], [16.05, 39.35],
+  ],
+  sicily: [
+    [12.45, 37.8], [12.7, 38.15], [13.35, 38.2], [14.0, 38.0], [15.1, 38.15], [15.65, 38.27], [15.25, 37.8],
+    [15.1, 37.3], [15.3, 37.05], [15.1, 36.65], [14.5, 36.8], [14.0, 37.1], [13.3, 37.4], [12.6, 37.65],
+  ],
+  sardinia: [
+    [8.2, 40.9], [9.2, 41.25], [9.75, 40.9], [9.65, 40.3], [9.6, 39.5], [9.6, 39.15], [9.0, 39.2],
+    [8.6, 38.9], [8.4, 39.1], [8.5, 39.7], [8.4, 40.4], [8.15, 40.6],
+  ],
+};
+
+// Bounding box (lon/lat) and output scale (px per degree of latitude)
+const WEST = 6.4;
+const NORTH = 47.3;
+const SCALE = 38;
+const LON_FACTOR = Math.cos((42 * Math.PI) / 180);
+
+function project([lon, lat]) {
+  const x = (lon - WEST) * SCALE * LON_FACTOR;
+  const y = (NORTH - lat) * SCALE;
+  return [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+}
+
+function outlinePath(points) {
+  return points.map((p, i) => `${i ? "L" : "M"}${project(p).join(",")}`).join("") + "Z";
+}
+
+/**
+ * SVG-ready map data: { viewBox, paths: { slug: "M...Z" } }.
+ */
+function buildItalyMap() {
+  const paths = {};
+  let maxX = 0;
+  let maxY = 0;
+
+  for (const [slug, points] of Object.entries(OUTLINES)) {
+    for (const p of points) {
+      const [x, y] = project(p);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+    paths[slug] = outlinePath(points);
+  }
+
+  const pad = 8;
+  return {
+    viewBox: `0 0 ${Math.ceil(maxX + pad)} ${Math.ceil(maxY + pad)}`,
+    paths,
+  };
+}
+
+module.exports = {
+  OUTLINES,
+  buildItalyMap,
+};
@@ -0,0 +1,255 @@
+// src/_lib/pasta-changes.js
+// =============================================================================
+// PURPOSE
+// - A changelog of the dataset: each archived snapshot in /src/_data/archive/
+//   (pasta-YYYYMMDD.csv) diffed against the next one, the newest against the
+//   live pasta.csv. Feeds /changes/, its Atom feed (/changes/atom.xml), the
+//   "Last changed" line on detail pages and tools/pasta-changes.js.
+//
+// MATCHING (by slug)
+// - added / removed   slug only in the newer / older snapshot
+// - renamed           a removed + an added slug for the same shape: equal
+//                     slugified ShapeName, or the old slug / name is one of
+//                     the new row's Synonyms or SearchAliases
+// - changed           same slug, different values. Only columns both
+//                     snapshots have are compared (new columns are listed
+//                     once as `columnsAdded`, not as a change on every row).
+//
+// Snapshots are parsed with parsePastaCsv() (src/_lib/pasta-csv.js), so
+// "yes"/"TRUE", list spacing etc. don't show up as changes.
+//
+// DATES
+// - Archive snapshots are dated by filename. The live CSV is dated by its
+//   newest LastEnrichedDate (falling back to the file's modified date).
+//
+// OUTPUT (see getPastaChanges)
+// - snapshots  [{ key, label, file, date, count }] oldest first
+// - changes    [{ id, from, to, date, added, removed, renamed, changed,
+//                 columnsAdded, columnsRemoved, counts }] newest first
+// - bySlug     { slug: { date, label, id, kind, fields: [label] } } - the
+//              latest change for every shape in the live CSV
+// =============================================================================
+
+const fs = require("fs");
+const path = require("path");
+
+const { loadPastaCsv, parsePastaCsv } = require("./pasta-csv");
+const { publishedRows } = require("./pasta-editorial");
+const { columnLabel } = require("./pasta-columns");
+const { slugify } = require("./slug");
+
+const ARCHIVE_DIR = path.join(__dirname, "..", "_data", "archive");
+const SNAPSHOT_FILE = /^pasta-(\d{4})(\d{2})(\d{2})\.csv$/;
+
+// Never reported as field changes (Slug is the key itself)
+const IGNORED_COLUMNS = ["Slug"];
+
+let cache = null; // { rows, changes }
+
+/**
+ * Archived snapshots, oldest first: [{ key, label, file, date, path }].
+ */
+function listArchiveSnapshots(dir = ARCHIVE_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .map((file) => ({ file, m: file.match(SNAPSHOT_FILE) }))
+    .filter((x) => x.m)
+    .map(({ file, m }) => {
+      const date = `${m[1]}-${m[2]}-${m[3]}`;
+      return { key: date, label: date, file, date, path: path.join(dir, file) };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Typed value -> comparable / displayable text
+function displayValue(value) {
+  if (Array.isArray(value)) return value.join("; ");
+  if (value === true) return "Yes";
+  if (value === false) return "No";
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
+
+function aliasKeys(row) {
+  return new Set(
+    [row.ShapeName, ...(row.Synonyms || []), ...(row.SearchAliases || [])].map(slugify).filter(Boolean)
+  );
+}
+
+function bySlug(rows) {
+  const map = new Map();
+  for (const r of rows) if (r.Slug && !map.has(r.Slug)) map.set(r.Slug, r);
+  return map;
+}
+
+/**
+ * Diff two parsed snapshots ({ headers, rows }).
+ * Returns { added, removed, renamed, changed, columnsAdded, columnsRemoved }
+ * where shapes are { slug, name } and changed entries carry
+ * fields: [{ column, label, before, after }].
+ */
+function diffSnapshots(before, after) {
+  const oldRows = bySlug(before.rows);
+  const newRows = bySlug(after.rows);
+
+  const oldCols = new Set(before.headers);
+  const newCols = new Set(after.headers);
+  const columns = after.headers.filter((c) => oldCols.has(c) && !IGNORED_COLUMNS.includes(c));
+
+  let added = Array.from(newRows.keys()).filter((s) => !oldRows.has(s));
+  let removed = Array.from(oldRows.keys()).filter((s) => !newRows.has(s));
+
+  // Pair removed slugs with added ones that are the same shape
+  const renamed = [];
+  for (const oldSlug of removed) {
+    const old = oldRows.get(oldSlug);
+    const oldName = slugify(old.ShapeName);
+    const match = added.find((newSlug) => {
+      const row = newRows.get(newSlug);
+      if (slugify(row.ShapeName) === oldName) return true;
+      const keys = aliasKeys(row);
+      return keys.has(oldSlug) || keys.has(oldName);
+    });
+    if (!match) continue;
+    renamed.push({ from: oldSlug, to: match, name: newRows.get(match).ShapeName });
+    added = added.filter((s) => s !== match);
+  }
+  removed = removed.filter((s) => !renamed.some((r) => r.from === s));
+
+  // Field changes for shapes in both (renamed ones compare old row -> new row)
+  const pairs = Array.from(newRows.keys())
+    .filter((s) => oldRows.has(s))
+    .map((s) => [oldRows.get(s), newRows.get(s)])
+    .concat(renamed.map((r) => [oldRows.get(r.from), newRows.get(r.to)]));
+
+  const changed = [];
+  for (const [o, n] of pairs) {
+    const fields = columns
+      .map((column) => ({ column, before: displayValue(o[column]), after: displayValue(n[column]) }))
+      .filter((f) => f.before !== f.after)
+      .map((f) => ({ ...f, label: columnLabel(f.column) }));
+    if (fields.length) changed.push({ slug: n.Slug, name: n.ShapeName, fields });
+  }
+
+  const shape = (map) => (slug) => ({ slug, name: map.get(slug).ShapeName });
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  return {
+    added: added.map(shape(newRows)).sort(byName),
+    removed: removed.map(shape(oldRows)).sort(byName),
+    renamed: renamed.sort(byName),
+    changed: changed.sort(byName),
+    columnsAdded: after.headers.filter((c) => !oldCols.has(c)),
+    columnsRemoved: before.headers.filter((c) => !newCols.has(c)),
+  };
+}
+
+// Newest LastEnrichedDate in the live CSV, else the file's modified date
+function currentDate(rows, csvPath) {
+  const dates = rows.map((r) => String(r.LastEnrichedDate || "").trim()).filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d));
+  if (dates.length) return dates.sort().pop();
+  return fs.statSync(csvPath).mtime.toISOString().slice(0, 10);
+}
+
+function buildPastaChanges({ archives, current, published }) {
+  const snapshots = [...archives, current];
+  const changes = [];
+  const latest = {};
+
+  for (let i = 1; i < snapshots.length; i++) {
+    const from = snapshots[i - 1];
+    const to = snapshots[i];
+    const diff = diffSnapshots(from.data, to.data);
+    const id = `${from.key}-to-${to.key}`;
+
+    // Only link shapes that have a page in this build
+    const url = (slug) => (published.has(slug) ? `/pasta/${slug}/` : "");
+    const linkShape = (s) => ({ ...s, url: url(s.slug) });
+
+    const entry = {
+      id,
+      from: { key: from.key, label: from.label, file: from.file },
+      to: { key: to.key, label: to.label, file: to.file },
+      date: to.date,
+      added: diff.added.map(linkShape),
+      removed: diff.removed,
+      renamed: diff.renamed.map((r) => ({ ...r, url: url(r.to) })),
+      changed: diff.changed.map(linkShape),
+      columnsAdded: diff.columnsAdded,
+      columnsRemoved: diff.columnsRemoved,
+    };
+    entry.counts = {
+      added: entry.added.length,
+      removed: entry.removed.length,
+      renamed: entry.renamed.length,
+      changed: entry.changed.length,
+    };
+    changes.push(entry);
+
+    // Later diffs overwrite earlier ones, leaving each shape's latest change
+    const mark = (slug, kind, fields = []) => {
+      latest[slug] = { date: to.date, label: to.label, id, kind, fields };
+    };
+    entry.added.forEach((s) => mark(s.slug, "added"));
+    entry.renamed.forEach((r) => {
+      if (latest[r.from]) delete latest[r.from];
+      mark(r.to, "renamed");
+    });
+    entry.changed.forEach((s) => {
+      const kind = latest[s.slug] && latest[s.slug].id === id ? latest[s.slug].kind : "changed";
+      mark(s.slug, kind, s.fields.map((f) => f.label));
+    });
+  }
+
+  // Only shapes still in the live CSV
+  const live = bySlug(current.data.rows);
+  const lastChanged = {};
+  for (const slug of Object.keys(latest)) if (live.has(slug)) lastChanged[slug] = latest[slug];
+
+  return {
+    snapshots: snapshots.map((s) => ({ key: s.key, label: s.label, file: s.file, date: s.date, count: bySlug(s.data.rows).size })),
+    changes: changes.reverse(),
+    bySlug: lastChanged,
+  };
+}
+
+/**
+ * Load the archive snapshots (parsed with the live CSV's rules).
+ */
+function loadArchives(dir = ARCHIVE_DIR) {
+  return listArchiveSnapshots(dir).map((s) => ({
+    ...s,
+    data: parsePastaCsv(fs.readFileSync(s.path, "utf8")),
+  }));
+}
+
+/**
+ * Changelog for the archive + live CSV (cached per load).
+ */
+function getPastaChanges() {
+  const loaded = loadPastaCsv();
+  const { rows } = loaded;
+  if (cache && cache.rows === rows) return cache.changes;
+
+  const current = {
+    key: "current",
+    label: "Current",
+    file: path.basename(loaded.csvPath),
+    date: currentDate(rows, loaded.csvPath),
+    data: loaded,
+  };
+  const published = new Set(publishedRows(rows).map((r) => r.Slug));
+
+  cache = { rows, changes: buildPastaChanges({ archives: loadArchives(), current, published }) };
+  return cache.changes;
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  listArchiveSnapshots,
+  loadArchives,
+  diffSnapshots,
+  buildPastaChanges,
+  getPastaChanges,
+};
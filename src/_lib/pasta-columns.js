@@ -0,0 +1,144 @@
+// src/_lib/pasta-columns.js
+// =============================================================================
+// PURPOSE
+// - The extra columns users can switch on in the /all/ table (and export),
+//   grouped for the column picker, plus the data behind them
+//   (/api/pasta-table.json).
+// - Every column declared in pasta-schema.js is available. The groups below
+//   only decide where a column appears in the picker; anything not listed
+//   lands in "More columns", so new schema columns show up automatically.
+// - Editorial and pipeline columns (status, notes, enrichment runs, *_Source
+//   provenance, book matching) are only offered on preview builds
+//   (isPreviewBuild() in pasta-editorial.js); production never publishes them.
+//
+// The table already shows thumbnail, name, category and description; those
+// are ALWAYS_SHOWN and not offered again.
+// =============================================================================
+
+const { COLUMNS } = require("./pasta-schema");
+const { isPreviewBuild } = require("./pasta-editorial");
+
+const ALWAYS_SHOWN = ["ShapeName", "Category"];
+
+const COLUMN_GROUPS = [
+  {
+    label: "Region",
+    columns: ["RegionPrimary", "RegionSecondary", "CityOrRegionMostAssociated", "OriginRegion", "RegionConfidence"],
+  },
+  {
+    label: "Era",
+    columns: ["FirstIntroducedEra", "FirstIntroducedYearStart", "FirstIntroducedYearEnd", "FirstIntroduced", "EarliestAttestedMention"],
+  },
+  {
+    label: "Geometry",
+    columns: ["Type", "PrimaryGeometry", "CrossSection", "SizeClass", "CutStyle", "MadeMethod"],
+  },
+  {
+    label: "Flags",
+    columns: ["IsHollow", "IsRidged", "IsTwisted", "IsCurved", "IsConcave", "HasRuffles", "IsStuffed", "IsPastina"],
+  },
+  {
+    label: "Pairings",
+    columns: ["ClassicSaucePairings", "PairingTags", "BestFor", "PairsWellWith", "AvoidWith"],
+  },
+  {
+    label: "Names",
+    columns: ["Slug", "Synonyms", "SearchAliases", "Pronunciation", "NameMeaning"],
+  },
+];
+
+// Internal to the editorial pipeline: kept out of production table data
+const INTERNAL_COLUMNS = ["PopulatedSource", "EnrichmentVersion", "LastEnrichedDate", "EditorialStatus", "EditorialNotes"];
+
+function isInternalColumn(name) {
+  return INTERNAL_COLUMNS.includes(name) || /_Source$/.test(name) || name.startsWith("Book_");
+}
+
+// Schema column names this build may publish
+function publicColumnNames() {
+  const names = COLUMNS.map((c) => c.name);
+  return isPreviewBuild() ? names : names.filter((name) => !isInternalColumn(name));
+}
+
+// Friendlier picker / header labels; everything else is split from CamelCase
+const LABELS = {
+  RegionPrimary: "Region",
+  RegionSecondary: "Secondary region",
+  CityOrRegionMostAssociated: "Most associated place",
+  FirstIntroducedEra: "Era",
+  FirstIntroducedYearStart: "Year (from)",
+  FirstIntroducedYearEnd: "Year (to)",
+  SizeClass: "Size",
+  CrossSection: "Cross-section",
+  MadeMethod: "How it's made",
+  IsHollow: "Hollow",
+  IsRidged: "Ridged",
+  IsTwisted: "Twisted",
+  IsCurved: "Curved",
+  IsConcave: "Concave",
+  HasRuffles: "Ruffled",
+  IsStuffed: "Stuffed",
+  IsPastina: "Pastina",
+  ClassicSaucePairings: "Classic sauces",
+  PairingTags: "Pairing tags",
+  ShapeName: "Name",
+};
+
+function columnLabel(name) {
+  if (LABELS[name]) return LABELS[name];
+  const words = name
+    .replace(/_/g, " ")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function describe(name) {
+  const col = COLUMNS.find((c) => c.name === name);
+  return { key: name, label: columnLabel(name), type: col ? col.type : "text" };
+}
+
+/**
+ * Picker groups: [{ label, columns: [{ key, label, type }] }].
+ */
+function buildColumnGroups() {
+  const known = new Set(publicColumnNames());
+  const grouped = new Set(ALWAYS_SHOWN);
+
+  const groups = COLUMN_GROUPS.map((g) => {
+    const columns = g.columns.filter((name) => known.has(name));
+    columns.forEach((name) => grouped.add(name));
+    return { label: g.label, columns: columns.map(describe) };
+  });
+
+  const rest = [...known].filter((name) => !grouped.has(name));
+  groups.push({ label: "More columns", columns: rest.map(describe) });
+
+  return groups.filter((g) => g.columns.length);
+}
+
+/**
+ * /api/pasta-table.json: every public schema column (all of them on preview
+ * builds), one array per shape.
+ * - columns  [{ key, label, type }]
+ * - rows     { slug: [value per column] } (typed: bools, numbers, lists)
+ */
+function buildTableData(rows) {
+  const columns = publicColumnNames().map(describe);
+  const out = {};
+
+  for (const r of rows) {
+    if (!r.Slug) continue;
+    out[r.Slug] = columns.map((c) => (r[c.key] === undefined ? null : r[c.key]));
+  }
+
+  return { columns, rows: out };
+}
+
+module.exports = {
+  ALWAYS_SHOWN,
+  COLUMN_GROUPS,
+  columnLabel,
+  buildColumnGroups,
+  buildTableData,
+};
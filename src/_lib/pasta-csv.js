@@ -0,0 +1,125 @@
+// src/_lib/pasta-csv.js
+// =============================================================================
+// PURPOSE
+// - The ONE place that finds, parses and types pasta.csv.
+// - Used by src/_data/pasta.js, src/_data/pastaIndex.js and (through those)
+//   every src/api/*.11ty.js endpoint, so detail pages and the search index can
+//   never drift apart again.
+//
+// CSV DISCOVERY STRATEGY (in priority order, all inside /src/_data/)
+// 1) pasta.csv            (canonical "source of truth" filename)
+// 2) pasta.populated.csv  (generated, auto-filled version)
+// 3) pasta.updated.csv    (schema-updated version)
+//
+// CACHING
+// - The parsed result is cached per build and invalidated when the CSV file's
+//   mtime changes (so `eleventy --serve` still picks up edits).
+// =============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const Papa = require("papaparse");
+
+const { COLUMNS, typeRow } = require("./pasta-schema");
+
+const DATA_DIR = path.join(__dirname, "..", "_data");
+
+const CANDIDATE_PATHS = [
+  path.join(DATA_DIR, "pasta.csv"),
+  path.join(DATA_DIR, "pasta.populated.csv"),
+  path.join(DATA_DIR, "pasta.updated.csv"),
+];
+
+// Typed defaults for declared columns that are missing from the CSV entirely.
+const EMPTY_BY_TYPE = {
+  text: () => "",
+  bool: () => null,
+  number: () => null,
+  list: () => [],
+};
+
+let cache = null; // { csvPath, mtimeMs, result }
+
+function findCsvPath() {
+  const csvPath = CANDIDATE_PATHS.find((p) => fs.existsSync(p));
+
+  if (!csvPath) {
+    // Fail loudly with a helpful message in Netlify logs
+    throw new Error(
+      [
+        "pasta-csv.js: Could not find a pasta CSV file in /src/_data/.",
+        "Tried:",
+        ...CANDIDATE_PATHS.map((p) => `- ${p}`),
+        "",
+        "Fix:",
+        "- Ensure one of these files exists in /src/_data/, OR",
+        "- Update CANDIDATE_PATHS in /src/_lib/pasta-csv.js to the correct location.",
+      ].join("\n")
+    );
+  }
+
+  return csvPath;
+}
+
+function fillMissingColumns(row) {
+  for (const col of COLUMNS) {
+    if (!(col.name in row)) row[col.name] = EMPTY_BY_TYPE[col.type]();
+  }
+  return row;
+}
+
+/**
+ * Parse CSV text into typed rows.
+ * Exposed separately so tools (e.g. archive diffing) can reuse the exact same
+ * parsing rules on files other than the live pasta.csv.
+ *
+ * Returns { headers, rows, rawRows, errors } where `rawRows` are the untyped
+ * string rows (same order as `rows`, used by validation) and `errors` are
+ * PapaParse errors.
+ */
+function parsePastaCsv(text) {
+  const parsed = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: (h) => String(h || "").trim(),
+  });
+
+  const headers = (parsed.meta && parsed.meta.fields) || [];
+  const rawRows = parsed.data;
+  const rows = rawRows.map((raw) => fillMissingColumns(typeRow(raw)));
+
+  return { headers, rows, rawRows, errors: parsed.errors || [] };
+}
+
+/**
+ * Load the live pasta CSV (cached).
+ *
+ * Returns { csvPath, headers, rows, rawRows, errors }.
+ */
+function loadPastaCsv() {
+  const csvPath = findCsvPath();
+  const { mtimeMs } = fs.statSync(csvPath);
+
+  if (cache && cache.csvPath === csvPath && cache.mtimeMs === mtimeMs) {
+    return cache.result;
+  }
+
+  // Helpful signal in Netlify build logs so we can confirm the right file loaded
+  console.log(
+    `pasta-csv.js: Loading pasta data from ${path.relative(process.cwd(), csvPath)}`
+  );
+
+  const result = {
+    csvPath,
+    ...parsePastaCsv(fs.readFileSync(csvPath, "utf8")),
+  };
+
+  cache = { csvPath, mtimeMs, result };
+  return result;
+}
+
+module.exports = {
+  CANDIDATE_PATHS,
+  parsePastaCsv,
+  loadPastaCsv,
+};
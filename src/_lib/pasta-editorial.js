@@ -0,0 +1,200 @@
+// src/_lib/pasta-editorial.js
+// =============================================================================
+// PURPOSE
+// - Make the build honour EditorialStatus / EnrichmentVersion /
+//   LastEnrichedDate instead of publishing every row the same way:
+//     - on preview builds, draft rows get a "draft content" banner and
+//       `noindex` (detail.njk); production builds publish them plainly, so
+//       a mostly-Draft dataset doesn't take the site out of search engines
+//     - PASTA_DRAFTS=exclude leaves drafts out of the build entirely
+//     - the /editorial/ dashboard (preview builds only) lists shapes by
+//       status, stale enrichment and missing key fields
+//
+// ENVIRONMENT
+// - PASTA_DRAFTS=include|exclude   (default: include)
+//     Default is include because the dataset is still mostly Draft; set
+//     `exclude` on the production context once shapes are Published.
+// - PASTA_EDITORIAL=on|off         (default: on everywhere except Netlify
+//     production, i.e. CONTEXT=production)
+//     Whether the /editorial/ dashboard is built.
+//
+// PUBLISHED ROWS
+// - Every builder that reads the CSV goes through publishedRows(), so when
+//   drafts are excluded no index, graph or listing can still link to them.
+// - Validation keeps checking ALL rows (pasta-validate.js), drafts included.
+// =============================================================================
+
+const { loadPastaCsv } = require("./pasta-csv");
+
+const DRAFT_MODES = ["include", "exclude"];
+const DRAFT_STATUS = "draft";
+
+// Enrichment older than this (or from an older EnrichmentVersion) is stale
+const STALE_AFTER_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields a finished page needs. `unknown` values count as missing.
+const KEY_FIELDS = [
+  { name: "Description", label: "Description" },
+  { name: "ThumbnailImage", label: "Thumbnail" },
+  { name: "PhotoImage", label: "Photo" },
+  { name: "HistoryBlurb", label: "History" },
+  { name: "KeyTells", label: "Key tells" },
+  { name: "ClassicSaucePairings", label: "Pairings" },
+  { name: "RegionPrimary", label: "Region" },
+  { name: "FirstIntroduced", label: "First introduced" },
+  { name: "MadeMethod", label: "Made method" },
+];
+
+// Dashboard order; statuses not listed here follow alphabetically
+const STATUS_ORDER = ["draft", "in review", "published"];
+
+const published = new WeakMap(); // all rows -> published rows
+let cache = null; // { rows, editorial }
+
+function draftMode() {
+  const explicit = String(process.env.PASTA_DRAFTS || "").trim().toLowerCase();
+  return DRAFT_MODES.includes(explicit) ? explicit : "include";
+}
+
+function isPreviewBuild() {
+  const explicit = String(process.env.PASTA_EDITORIAL || "").trim().toLowerCase();
+  if (explicit === "on") return true;
+  if (explicit === "off") return false;
+  return process.env.CONTEXT !== "production";
+}
+
+function statusOf(row) {
+  return String(row.EditorialStatus || "").trim();
+}
+
+function isDraft(row) {
+  return statusOf(row).toLowerCase() === DRAFT_STATUS;
+}
+
+/**
+ * The rows this build publishes (all of them unless PASTA_DRAFTS=exclude).
+ * Memoised per rows array, so builders caching on `rows` identity still hit.
+ */
+function publishedRows(rows) {
+  if (draftMode() !== "exclude") return rows;
+  if (!published.has(rows)) published.set(rows, rows.filter((r) => !isDraft(r)));
+  return published.get(rows);
+}
+
+function isMissing(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  const text = String(value == null ? "" : value).trim();
+  return !text || text.toLowerCase() === "unknown";
+}
+
+// "v2" -> 2 (anything unparseable sorts as oldest)
+function versionNumber(value) {
+  const m = String(value || "").match(/(\d+(?:\.\d+)?)/);
+  return m ? Number(m[1]) : 0;
+}
+
+function parseDate(value) {
+  const m = String(value || "").trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const time = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Dashboard data for /editorial/:
+ * { preview, draftMode, generatedAt, staleAfterDays, latestVersion, count,
+ *   statuses: [{ key, label, shapes }], stale: [shape], missing: [shape],
+ *   fieldGaps: [{ name, label, count }] }
+ * where shape = { slug, name, url, status, draft, version, enrichedOn,
+ *                 ageDays, staleReason, missing: [label], notes }.
+ */
+function buildPastaEditorial(rows, now = Date.now()) {
+  const latestVersion = rows.reduce((max, r) => Math.max(max, versionNumber(r.EnrichmentVersion)), 0);
+  const statuses = new Map();
+  const shapes = [];
+
+  for (const r of rows) {
+    if (!r.Slug || !r.ShapeName) continue;
+
+    const status = statusOf(r) || "No status";
+    const enrichedAt = parseDate(r.LastEnrichedDate);
+    const ageDays = enrichedAt === null ? null : Math.floor((now - enrichedAt) / DAY_MS);
+
+    let staleReason = "";
+    if (enrichedAt === null) staleReason = "Never enriched";
+    else if (ageDays > STALE_AFTER_DAYS) staleReason = `Enriched ${ageDays} days ago`;
+    else if (versionNumber(r.EnrichmentVersion) < latestVersion) staleReason = `Older enrichment (${r.EnrichmentVersion || "none"})`;
+
+    const shape = {
+      slug: r.Slug,
+      name: r.ShapeName,
+      url: `/pasta/${r.Slug}/`,
+      status,
+      draft: isDraft(r),
+      version: String(r.EnrichmentVersion || "").trim(),
+      enrichedOn: enrichedAt === null ? "" : String(r.LastEnrichedDate).trim(),
+      ageDays,
+      staleReason,
+      missing: KEY_FIELDS.filter((f) => isMissing(r[f.name])).map((f) => f.label),
+      notes: String(r.EditorialNotes || "").trim(),
+    };
+    shapes.push(shape);
+
+    const key = status.toLowerCase();
+    if (!statuses.has(key)) statuses.set(key, { key, label: status, shapes: [] });
+    statuses.get(key).shapes.push(shape);
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const rank = (key) => {
+    const i = STATUS_ORDER.indexOf(key);
+    return i === -1 ? STATUS_ORDER.length : i;
+  };
+
+  return {
+    preview: isPreviewBuild(),
+    draftMode: draftMode(),
+    generatedAt: new Date(now).toISOString().slice(0, 10),
+    staleAfterDays: STALE_AFTER_DAYS,
+    latestVersion: latestVersion ? `v${latestVersion}` : "",
+    count: shapes.length,
+    statuses: Array.from(statuses.values())
+      .map((s) => ({ ...s, shapes: s.shapes.sort(byName) }))
+      .sort((a, b) => rank(a.key) - rank(b.key) || a.label.localeCompare(b.label)),
+    // Oldest first; never-enriched shapes lead
+    stale: shapes
+      .filter((s) => s.staleReason)
+      .sort((a, b) => (b.ageDays === null ? Infinity : b.ageDays) - (a.ageDays === null ? Infinity : a.ageDays) || byName(a, b)),
+    // Most gaps first
+    missing: shapes.filter((s) => s.missing.length).sort((a, b) => b.missing.length - a.missing.length || byName(a, b)),
+    fieldGaps: KEY_FIELDS.map((f) => ({
+      name: f.name,
+      label: f.label,
+      count: shapes.filter((s) => s.missing.includes(f.label)).length,
+    })).filter((f) => f.count),
+  };
+}
+
+/**
+ * Dashboard data for the live CSV (cached per load). Covers ALL rows, drafts
+ * included, whatever PASTA_DRAFTS says - the dashboard exists to track them.
+ */
+function getPastaEditorial() {
+  const { rows } = loadPastaCsv();
+  if (cache && cache.rows === rows) return cache.editorial;
+
+  cache = { rows, editorial: buildPastaEditorial(rows) };
+  return cache.editorial;
+}
+
+module.exports = {
+  KEY_FIELDS,
+  STALE_AFTER_DAYS,
+  draftMode,
+  isPreviewBuild,
+  isDraft,
+  publishedRows,
+  buildPastaEditorial,
+  getPastaEditorial,
+};
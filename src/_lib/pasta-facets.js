@@ -0,0 +1,163 @@
+// src/_lib/pasta-facets.js
+// =============================================================================
+// PURPOSE
+// - The facet panel on /all/ (/js/all-pastas.js): which columns can be
+//   filtered on, their options (derived from the data) and each row's values.
+// - Adding a facet = one entry in FACETS. The template renders the checkboxes
+//   and row attributes from buildPastaFacets(), the JS reads them back.
+//
+// FIELDS
+// - key     URL parameter (/all/?type=tube&region=campania&has=ridged)
+// - column  CSV column (see pasta-schema.js); list columns give several values
+// - mode    "any"  a row matches if it has ANY checked option (within a facet)
+//           "all"  a row must have EVERY checked option (the Is* flags)
+// - order   optional display order; otherwise most common first
+// - flags   for mode "all": one option per bool column, on when it is true
+//
+// Facets always combine with AND: "ridged tubes from Campania".
+// Option values are slugs of the CSV value ("Emilia-Romagna" -> emilia-romagna).
+// =============================================================================
+
+const { COLUMNS, COLUMN_TYPES } = require("./pasta-schema");
+const { slugify } = require("./slug");
+
+// Text values seen fewer times than this are left out (one-off notes)
+const MIN_OPTION_COUNT = 2;
+
+const FACETS = [
+  { key: "type", column: "Type", label: "Type", mode: "any" },
+  { key: "size", column: "SizeClass", label: "Size", mode: "any" },
+  { key: "region", column: "RegionPrimary", label: "Region", mode: "any" },
+  { key: "made", column: "MadeMethod", label: "How it's made", mode: "any" },
+  { key: "cross", column: "CrossSection", label: "Cross-section", mode: "any" },
+  { key: "pairing", column: "PairingTags", label: "Pairs with", mode: "any" },
+  {
+    key: "era",
+    column: "FirstIntroducedEra",
+    label: "First introduced",
+    mode: "any",
+    order: [
+      "Ancient",
+      "Medieval",
+      "Renaissance/Early Modern",
+      "Industrial/Early Modern",
+      "Modern",
+      "Traditional (unclear)",
+      "Unclassified",
+    ],
+  },
+  {
+    key: "has",
+    label: "Shape features",
+    mode: "all",
+    flags: [
+      { column: "IsHollow", label: "Hollow" },
+      { column: "IsRidged", label: "Ridged" },
+      { column: "IsTwisted", label: "Twisted" },
+      { column: "IsCurved", label: "Curved" },
+      { column: "IsConcave", label: "Concave" },
+      { column: "HasRuffles", label: "Ruffled" },
+      { column: "IsStuffed", label: "Stuffed" },
+      { column: "IsPastina", label: "Pastina" },
+    ],
+  },
+];
+
+// Accent-safe slug ("ragù/meat" -> "ragu-meat")
+function valueKey(label) {
+  return slugify(String(label || "").normalize("NFD").replace(/[\u0300-\u036f]/g, ""));
+}
+
+function flagKey(flag) {
+  return valueKey(flag.label);
+}
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+/**
+ * One row's values for a facet: [{ value, label }].
+ */
+function rowFacetValues(row, facet) {
+  if (facet.flags) {
+    return facet.flags.filter((f) => row[f.column] === true).map((f) => ({ value: flagKey(f), label: f.label }));
+  }
+
+  const raw = row[facet.column];
+  const list = COLUMN_TYPES[facet.column] === "list" ? raw || [] : [raw];
+
+  return list
+    .map((v) => String(v ?? "").trim())
+    .filter(Boolean)
+    .map((label) => ({ value: valueKey(label), label }));
+}
+
+/**
+ * Options for one facet: [{ value, label, count }].
+ */
+function buildOptions(rows, facet) {
+  const seen = new Map(); // value -> { value, label, count }
+
+  for (const r of rows) {
+    for (const { value, label } of rowFacetValues(r, facet)) {
+      if (!value) continue;
+      if (!seen.has(value)) seen.set(value, { value, label: capitalize(label), count: 0 });
+      seen.get(value).count += 1;
+    }
+  }
+
+  if (facet.flags) {
+    return facet.flags.map((f) => seen.get(flagKey(f))).filter(Boolean);
+  }
+
+  const declared = facet.order || (COLUMNS.find((c) => c.name === facet.column) || {}).values;
+  let options = Array.from(seen.values());
+
+  if (Array.isArray(declared)) {
+    const order = declared.map(valueKey);
+    const rank = (o) => (order.includes(o.value) ? order.indexOf(o.value) : order.length);
+    options.sort((a, b) => rank(a) - rank(b) || b.count - a.count);
+  } else {
+    options = options.filter((o) => o.count >= MIN_OPTION_COUNT);
+    options.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  }
+
+  return options;
+}
+
+/**
+ * Facet panel data for the typed CSV rows:
+ * - facets  [{ key, label, mode, options: [{ value, label, count }] }]
+ * - bySlug  { slug: { facetKey: "value value" } } (space-separated, for data-* attributes)
+ */
+function buildPastaFacets(rows) {
+  const facets = FACETS.map((f) => ({
+    key: f.key,
+    label: f.label,
+    mode: f.mode,
+    options: buildOptions(rows, f),
+  })).filter((f) => f.options.length);
+
+  const bySlug = {};
+  for (const r of rows) {
+    if (!r.Slug) continue;
+    const values = {};
+    for (const f of facets) {
+      const facet = FACETS.find((d) => d.key === f.key);
+      const allowed = new Set(f.options.map((o) => o.value));
+      values[f.key] = rowFacetValues(r, facet)
+        .map((v) => v.value)
+        .filter((v) => allowed.has(v))
+        .join(" ");
+    }
+    bySlug[r.Slug] = values;
+  }
+
+  return { facets, bySlug };
+}
+
+module.exports = {
+  FACETS,
+  buildPastaFacets,
+};
@@ -0,0 +1,85 @@
+// src/_lib/pasta-fulltext.js
+// =============================================================================
+// PURPOSE
+// - Builds the inverted index published as /api/pasta-fulltext.json, so the
+//   /search/ page can find shapes by what their text says ("Amalfi seafood",
+//   "guanciale"), not just by name / alias (that's pasta-index.js).
+//
+// FORMAT (version 1)
+// - fields  [{ key, label, boost }] - the field order used everywhere below
+// - docs    [{ slug, name, url, text: [one string per field] }]
+//           `text` is kept so the browser can cut snippets around a hit.
+// - terms   { stem: [posting, ...] } where posting = doc * 128 + field * 16 + tf
+//           (at most 8 fields, tf capped at 15). One small integer per hit keeps
+//           the JSON small - it is precached by the PWA.
+//
+// Tokenizing + stemming come from /src/js/pasta-text.js, the same file the
+// browser loads, so query stems always line up with index stems.
+// =============================================================================
+
+const { terms: textTerms } = require("../js/pasta-text");
+
+const MAX_TF = 15;
+
+// Searchable fields, best first. List columns are joined with "; ".
+const FULLTEXT_FIELDS = [
+  { key: "name", label: "Name", boost: 5, columns: ["ShapeName"] },
+  { key: "aliases", label: "Also known as", boost: 3, columns: ["Synonyms", "SearchAliases"] },
+  { key: "keyTells", label: "Key tells", boost: 2, columns: ["KeyTells", "KeyDiscriminators"] },
+  { key: "pairings", label: "Classic pairings", boost: 2, columns: ["ClassicSaucePairings", "ClassicSaucePairingsWhy"] },
+  { key: "description", label: "Description", boost: 1.5, columns: ["Description"] },
+  { key: "history", label: "History", boost: 1, columns: ["HistoryLong"] },
+  { key: "trivia", label: "Trivia", boost: 1, columns: ["Trivia", "NameMeaning"] },
+];
+
+function fieldText(row, field) {
+  return field.columns
+    .map((col) => {
+      const v = row[col];
+      return Array.isArray(v) ? v.join("; ") : String(v ?? "").trim();
+    })
+    .filter(Boolean)
+    .join(" - ");
+}
+
+/**
+ * Full-text index for the typed CSV rows (see FORMAT above).
+ */
+function buildFulltextIndex(rows) {
+  const docs = [];
+  const terms = Object.create(null);
+
+  for (const r of rows) {
+    const name = r.ShapeName;
+    const slug = r.Slug;
+    if (!name || !slug) continue;
+
+    const doc = docs.length;
+    const text = FULLTEXT_FIELDS.map((f) => fieldText(r, f));
+
+    text.forEach((t, field) => {
+      const counts = new Map();
+      for (const term of textTerms(t)) counts.set(term, (counts.get(term) || 0) + 1);
+
+      for (const [term, tf] of counts) {
+        if (!terms[term]) terms[term] = [];
+        terms[term].push(doc * 128 + field * 16 + Math.min(tf, MAX_TF));
+      }
+    });
+
+    docs.push({ slug, name, url: `/pasta/${slug}/`, text });
+  }
+
+  return {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    fields: FULLTEXT_FIELDS.map(({ key, label, boost }) => ({ key, label, boost })),
+    docs,
+    terms,
+  };
+}
+
+module.exports = {
+  FULLTEXT_FIELDS,
+  buildFulltextIndex,
+};
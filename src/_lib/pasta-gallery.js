@@ -0,0 +1,192 @@
+// src/_lib/pasta-gallery.js
+// =============================================================================
+// PURPOSE
+// - The detail-page image gallery: uncooked ("dry") and cooked images per
+//   shape, each with a caption and, where we know it, a credit back to the
+//   Wikimedia Commons file it was downloaded from.
+//
+// WHERE IMAGES COME FROM (per state, in order, duplicates dropped)
+//   uncooked  HeroImageUncooked (one or more, ";"-separated), else ThumbnailImage
+//   cooked    HeroImageCooked, else PhotoImage
+//   both      the downloader's file (tools/pasta-images-downloader/manifest.csv)
+//             when the image provider can confirm it has it - never on
+//             ImageKit, where a guess would be a broken image
+// - Uncooked files come from the provider's "thumbs" folder and cooked ones
+//   from "full" (the local provider maps those to uncooked/ and cooked/).
+// - A state with nothing to show is left out rather than showing the pending
+//   image; the toggle only appears when both states have images.
+//
+// CREDITS
+// - manifest.csv lists the source URL of every downloaded file
+//   (state, slug, url, relative_output_path). An image whose filename stem
+//   matches a manifest output in the same state is credited to that URL;
+//   Commons files also lend their title as the caption.
+// - Author and license come from the downloader's sidecar,
+//   image-metadata.json (src/_lib/image-licenses.js). An image whose recorded
+//   license isn't allowed is left out of the gallery (with a build warning).
+//
+// OUTPUT (see getPastaGallery)
+// - bySlug  { slug: { states: [state], defaultState } }
+//           state = { key, label, images: [{ file, folder, caption, alt, credit }] }
+//           credit = { title, url, site, author, license, licenseUrl } or null
+//           (author / license are "" until the sidecar has them)
+// =============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const Papa = require("papaparse");
+
+const { loadPastaCsv } = require("./pasta-csv");
+const { publishedRows } = require("./pasta-editorial");
+const { isAvailable, isKnownFile } = require("./pasta-images");
+const { allowedLicense, loadImageMetadata } = require("./image-licenses");
+
+const MANIFEST_PATH = path.join(__dirname, "..", "..", "tools", "pasta-images-downloader", "manifest.csv");
+
+// Gallery states, in toggle order
+const STATES = [
+  { key: "uncooked", label: "Dry", folder: "thumbs", columns: ["HeroImageUncooked", "ThumbnailImage"] },
+  { key: "cooked", label: "Cooked", folder: "full", columns: ["HeroImageCooked", "PhotoImage"] },
+];
+
+let cache = null; // { rows, gallery }
+
+const stemOf = (file) => path.basename(String(file), path.extname(String(file))).toLowerCase();
+
+// "Special:FilePath/Bucatini%20all'amatriciana.jpg" -> "Bucatini all'amatriciana.jpg"
+function commonsTitle(url) {
+  const m = String(url).match(/commons\.wikimedia\.org\/wiki\/(?:Special:FilePath\/|File:)([^?#]+)/i);
+  if (!m) return "";
+  try {
+    return decodeURIComponent(m[1]).replace(/_/g, " ").trim();
+  } catch (_) {
+    return m[1].replace(/_/g, " ").trim();
+  }
+}
+
+/**
+ * Credit for a downloaded file: { title, url, site, author, license, licenseUrl }.
+ * Commons FilePath links become the file's description page; `meta` is its
+ * image-metadata.json entry, when there is one.
+ */
+function creditFor(sourceUrl, meta = null) {
+  const m = meta || {};
+  const license = {
+    author: String(m.author || "").trim(),
+    license: String(m.license || "").trim(),
+    licenseUrl: String(m.license_url || "").trim(),
+  };
+
+  const title = commonsTitle(sourceUrl);
+  if (title) {
+    const filePage = `https://commons.wikimedia.org/wiki/File:${encodeURIComponent(title.replace(/ /g, "_"))}`;
+    return {
+      title: String(m.title || "").trim() || title,
+      url: String(m.page_url || "").trim() || filePage,
+      site: "Wikimedia Commons",
+      ...license,
+    };
+  }
+  let site = "";
+  try {
+    site = new URL(sourceUrl).hostname.replace(/^www\./, "");
+  } catch (_) {
+    return null;
+  }
+  return { title: String(m.title || "").trim(), url: String(m.page_url || "").trim() || sourceUrl, site, ...license };
+}
+
+/**
+ * manifest.csv -> Map("<state>|<slug>" -> [{ file, credit, blocked }]). The
+ * downloader skips files that already exist, so when two rows write the same
+ * path the first one is what's on disk. `blocked` is set when the sidecar
+ * records a license we can't publish.
+ */
+function loadManifest(manifestPath = MANIFEST_PATH, metadata = loadImageMetadata()) {
+  const byKey = new Map();
+  if (!fs.existsSync(manifestPath)) return byKey;
+
+  const parsed = Papa.parse(fs.readFileSync(manifestPath, "utf8"), { header: true, skipEmptyLines: true });
+  const seenPaths = new Set();
+  for (const r of parsed.data) {
+    const state = String(r.state || "").trim().toLowerCase();
+    const slug = String(r.slug || "").trim();
+    const out = String(r.relative_output_path || "").trim();
+    if (!state || !slug || !out || seenPaths.has(out)) continue;
+    seenPaths.add(out);
+
+    const key = `${state}|${slug}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    const meta = metadata[out] || null;
+    const blocked = Boolean(meta && meta.license && !allowedLicense(meta.license));
+    if (blocked) console.warn(`pasta-gallery.js: leaving out ${out} (license not allowed: ${meta.license})`);
+    byKey.get(key).push({ file: path.basename(out), credit: creditFor(String(r.url || "").trim(), meta), blocked });
+  }
+  return byKey;
+}
+
+const cellFiles = (value) => (Array.isArray(value) ? value : [value]).map((v) => String(v || "").trim()).filter(Boolean);
+
+/**
+ * Gallery for one row: { states, defaultState }.
+ */
+function buildGallery(row, manifest) {
+  const states = [];
+
+  for (const def of STATES) {
+    const downloads = manifest.get(`${def.key}|${row.Slug}`) || [];
+
+    // Dedicated hero column first; the older single-image column is the fallback
+    let files = cellFiles(row[def.columns[0]]);
+    if (!files.length) files = cellFiles(row[def.columns[1]]);
+    for (const d of downloads) if (isKnownFile(def.folder, d.file)) files.push(d.file);
+
+    const seen = new Set();
+    const images = [];
+    for (const file of files) {
+      const stem = stemOf(file);
+      if (seen.has(stem) || !isAvailable(def.folder, file)) continue;
+      seen.add(stem);
+
+      const download = downloads.find((d) => stemOf(d.file) === stem);
+      if (download && download.blocked) continue;
+      const credit = download ? download.credit : null;
+      const alt = `${row.ShapeName}, ${def.label.toLowerCase()}`;
+      const commonsCaption = credit && credit.title ? credit.title.replace(/\.[a-z0-9]+$/i, "") : "";
+
+      images.push({ file, folder: def.folder, caption: commonsCaption || alt, alt, credit });
+    }
+
+    if (images.length) states.push({ key: def.key, label: def.label, images });
+  }
+
+  // Same first choice the single hero made: the cooked photo when there is one
+  const cooked = states.find((s) => s.key === "cooked");
+  return { states, defaultState: (cooked || states[0] || { key: "" }).key };
+}
+
+function buildPastaGallery(rows, manifest = loadManifest()) {
+  const bySlug = {};
+  for (const r of rows) {
+    if (!r.Slug || bySlug[r.Slug]) continue;
+    bySlug[r.Slug] = buildGallery(r, manifest);
+  }
+  return { bySlug };
+}
+
+function getPastaGallery() {
+  const rows = publishedRows(loadPastaCsv().rows);
+  if (cache && cache.rows === rows) return cache.gallery;
+
+  cache = { rows, gallery: buildPastaGallery(rows) };
+  return cache.gallery;
+}
+
+module.exports = {
+  STATES,
+  MANIFEST_PATH,
+  creditFor,
+  loadManifest,
+  buildPastaGallery,
+  getPastaGallery,
+};
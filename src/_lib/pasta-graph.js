@@ -0,0 +1,225 @@
+// src/_lib/pasta-graph.js
+// =============================================================================
+// PURPOSE
+// - Turn the free-text relationship columns into a typed edge list:
+//     OftenConfusedWith (+ OftenConfusedWithWhy)       -> "confused-with"
+//     SubstitutesClosest/Decent/Emergency (+ *Why)     -> "substitute" (tier)
+//     SeeAlsoSlugs, Synonyms_RelatedShapes             -> "see-also"
+// - Names are resolved to slugs through the shared alias index, so "Capellini",
+//   "capellini" and a listed synonym all land on the same shape.
+// - Names that can't be resolved (unknown, or an alias shared by several
+//   shapes) are kept as plain text and reported at build time.
+//
+// OUTPUT (see getPastaGraph)
+// - nodes      [{ slug, name, url }]
+// - edges      [{ from, to, type, tier?, why?, source }]
+// - unresolved [{ from, source, name, reason, candidates? }]
+// - bySlug     { slug: { confusedWith, substitutes: { closest, decent, emergency },
+//                        seeAlso, unresolvedBySource: { column: [name] },
+//                        leftoverWhyBySource: { column: [part] } } }
+//               (template-friendly view; leftover parts are the bits of a *Why
+//               column no card carries, e.g. "Name - reason" for a name that
+//               didn't resolve)
+// =============================================================================
+
+const { loadPastaCsv } = require("./pasta-csv");
+const { publishedRows } = require("./pasta-editorial");
+const { getPastaIndex, normalize, resolveName } = require("./pasta-index");
+
+const SUBSTITUTE_TIERS = [
+  { tier: "closest", column: "SubstitutesClosest", whyColumn: "SubstitutesClosestWhy" },
+  { tier: "decent", column: "SubstitutesDecent", whyColumn: "SubstitutesDecentWhy" },
+  { tier: "emergency", column: "SubstitutesEmergency", whyColumn: "SubstitutesEmergencyWhy" },
+];
+
+let cache = null; // { rows, graph }
+
+/**
+ * Parse a *Why column into a per-name lookup.
+ * The CSV uses two styles:
+ *   "Bigoli - hollow vs solid | Capelli D'Angelo - hollow vs solid"
+ *   "hollow vs solid"   (applies to every name in the matching column)
+ *
+ * Returns { byKey: Map(normalizedName -> reason), parts: [{ key, name, reason }], fallback }.
+ */
+function parseWhy(text) {
+  const byKey = new Map();
+  const parts = [];
+  let fallback = "";
+
+  const pieces = String(text || "")
+    .split("|")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  for (const piece of pieces) {
+    const m = piece.match(/^(.+?)\s+-\s+(.+)$/);
+    if (m) {
+      const key = normalize(m[1]);
+      byKey.set(key, m[2].trim());
+      parts.push({ key, name: m[1].trim(), reason: m[2].trim() });
+    } else if (!fallback) fallback = piece;
+  }
+
+  return { byKey, parts, fallback };
+}
+
+function whyFor(parsedWhy, name, targetCount) {
+  const hit = parsedWhy.byKey.get(normalize(name));
+  if (hit) return hit;
+  // A bare reason with no "Name - " prefix describes the whole column.
+  if (parsedWhy.fallback && (targetCount === 1 || !parsedWhy.byKey.size)) return parsedWhy.fallback;
+  return "";
+}
+
+function buildPastaGraph(rows, index) {
+  const slugSet = new Set(index.entries.map((e) => e.slug));
+  const entryBySlug = new Map(index.entries.map((e) => [e.slug, e]));
+  const rowBySlug = new Map(rows.map((r) => [r.Slug, r]));
+
+  const edges = [];
+  const unresolved = [];
+  const leftoverWhy = []; // [{ from, source, parts: [text] }]
+  const seen = new Set();
+
+  function addEdge(edge) {
+    if (edge.from === edge.to) return false;
+    const id = `${edge.from}>${edge.to}>${edge.type}>${edge.tier || ""}`;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    edges.push(edge);
+    return true;
+  }
+
+  function addNamed(from, names, source, type, extra = {}, parsedWhy = null) {
+    const carried = new Set(); // byKey keys some edge carries
+    let fallbackCarried = false;
+
+    for (const name of names) {
+      const res = resolveName(index, name);
+      if (!res.slug) {
+        unresolved.push({ from, source, name, reason: res.reason, ...(res.candidates ? { candidates: res.candidates } : {}) });
+        continue;
+      }
+
+      const why = parsedWhy ? whyFor(parsedWhy, name, names.length) : "";
+      if (addEdge({ from, to: res.slug, type, ...extra, ...(why ? { why } : {}), source }) && why) {
+        const key = normalize(name);
+        if (parsedWhy.byKey.has(key)) carried.add(key);
+        else fallbackCarried = true;
+      }
+    }
+
+    // Whatever no card shows (names that didn't resolve, or a bare reason
+    // that went to nobody) is kept so the page can still print it
+    if (!parsedWhy) return;
+    const parts = parsedWhy.parts.filter((p) => !carried.has(p.key)).map((p) => `${p.name} - ${p.reason}`);
+    if (parsedWhy.fallback && !fallbackCarried) parts.unshift(parsedWhy.fallback);
+    if (parts.length) leftoverWhy.push({ from, source, parts });
+  }
+
+  for (const r of rows) {
+    const from = r.Slug;
+    if (!from) continue;
+
+    addNamed(from, r.OftenConfusedWith, "OftenConfusedWith", "confused-with", {}, parseWhy(r.OftenConfusedWithWhy));
+
+    for (const t of SUBSTITUTE_TIERS) {
+      addNamed(from, r[t.column], t.column, "substitute", { tier: t.tier }, parseWhy(r[t.whyColumn]));
+    }
+
+    for (const slug of r.SeeAlsoSlugs) {
+      if (slugSet.has(slug)) addEdge({ from, to: slug, type: "see-also", source: "SeeAlsoSlugs" });
+      else unresolved.push({ from, source: "SeeAlsoSlugs", name: slug, reason: "unknown" });
+    }
+
+    addNamed(from, r.Synonyms_RelatedShapes, "Synonyms_RelatedShapes", "see-also");
+  }
+
+  // ---------------------------------------------------------------------------
+  // Template-friendly view
+  // ---------------------------------------------------------------------------
+  const bySlug = {};
+  const blank = () => ({
+    confusedWith: [],
+    substitutes: { closest: [], decent: [], emergency: [] },
+    seeAlso: [],
+    unresolvedBySource: {},
+    leftoverWhyBySource: {},
+  });
+
+  for (const r of rows) if (r.Slug) bySlug[r.Slug] = blank();
+
+  for (const e of edges) {
+    const target = entryBySlug.get(e.to);
+    const targetRow = rowBySlug.get(e.to) || {};
+    const link = {
+      slug: e.to,
+      name: target ? target.name : e.to,
+      url: target ? target.url : `/pasta/${e.to}/`,
+      thumb: targetRow.ThumbnailImage || "",
+      why: e.why || "",
+    };
+
+    const bucket = bySlug[e.from];
+    if (!bucket) continue;
+
+    if (e.type === "confused-with") bucket.confusedWith.push(link);
+    else if (e.type === "substitute") bucket.substitutes[e.tier].push(link);
+    else if (e.type === "see-also") bucket.seeAlso.push(link);
+  }
+
+  for (const u of unresolved) {
+    const bucket = bySlug[u.from];
+    if (!bucket) continue;
+    if (!bucket.unresolvedBySource[u.source]) bucket.unresolvedBySource[u.source] = [];
+    bucket.unresolvedBySource[u.source].push(u.name);
+  }
+
+  for (const l of leftoverWhy) {
+    const bucket = bySlug[l.from];
+    if (bucket) bucket.leftoverWhyBySource[l.source] = l.parts;
+  }
+
+  return {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    nodes: index.entries.map((e) => ({ slug: e.slug, name: e.name, url: e.url })),
+    edges,
+    unresolved,
+    bySlug,
+  };
+}
+
+// Build-time report so editors can fix names that don't point at a shape.
+function reportUnresolved(unresolved) {
+  if (!unresolved.length) return;
+
+  const lines = [`pasta-graph.js: ${unresolved.length} relationship name(s) could not be resolved to a shape`];
+  for (const u of unresolved) {
+    const detail = u.reason === "ambiguous" ? `ambiguous: ${u.candidates.join(", ")}` : u.reason;
+    lines.push(`  ${u.from} · ${u.source}: "${u.name}" (${detail})`);
+  }
+  console.warn(lines.join("\n"));
+}
+
+/**
+ * The relationship graph for the live CSV (cached per load).
+ */
+function getPastaGraph() {
+  const rows = publishedRows(loadPastaCsv().rows);
+  if (cache && cache.rows === rows) return cache.graph;
+
+  const graph = buildPastaGraph(rows, getPastaIndex());
+  reportUnresolved(graph.unresolved);
+
+  cache = { rows, graph };
+  return graph;
+}
+
+module.exports = {
+  SUBSTITUTE_TIERS,
+  parseWhy,
+  buildPastaGraph,
+  getPastaGraph,
+};
@@ -0,0 +1,228 @@
+// src/_lib/pasta-images.js
+// =============================================================================
+// PURPOSE
+// - The ONE place that knows where pasta images come from and how each
+//   context asks for them. Used by the pastaThumbUrl / pastaPhotoUrl /
+//   pastaHeroUrl / pastaAssetUrl filters and the {% pastaImage %} shortcode
+//   in .eleventy.js, and (through src/_data/pastaImages.js) by templates.
+//
+// PROVIDERS (PASTA_IMAGE_PROVIDER=imagekit|local, default imagekit)
+// - imagekit  src/_lib/image-provider-imagekit.js - URLs with ?tr= transforms
+//             (IMAGEKIT_BASE_URL overrides the base)
+// - local     src/_lib/image-provider-local.js - files from the
+//             tools/pasta-images-downloader folders, resized at build time
+// - A provider is { name, formats, listsFiles, has(key, file),
+//   fileUrl(key, file, params), folderUrl(key), urlWithParams(url, params),
+//   pendingUrl(key, params), finish(outputDir) }. `listsFiles` is false when
+//   has() can't really check (ImageKit) and just answers true. Folder keys: pasta, thumbs, full, carousel,
+//   identify. params use ImageKit's names ({ w, h, f, q, bl }). Files the
+//   provider doesn't have show its pending image instead.
+//
+// {% pastaImage preset, file, { photo, folder, alt, class, loading } %}
+// - Emits <picture> with AVIF and WebP <source>s plus an f-auto <img>, each
+//   with a width-based srcset from the preset's breakpoints.
+// - width/height come from the preset's aspect ratio, and the provider crops
+//   to that same ratio, so the reserved box is the real shape of the image.
+// - Presets with `placeholder` wrap the picture in .pasta-img with a tiny
+//   blurred copy underneath (blur-up; scripts.js marks it loaded).
+// - `photo`: use the cooked photo when there is one (its own aspect ratio),
+//   else the thumbnail - the same choice pastaHeroUrl makes.
+// - `folder`: take `file` from that folder instead ("full" gets the photo
+//   aspect ratio) - the detail-page gallery's uncooked/cooked images.
+// - CSV values are filenames; full http(s) URLs are used as they are.
+// =============================================================================
+
+const { createImagekitProvider } = require("./image-provider-imagekit");
+const { createLocalProvider } = require("./image-provider-local");
+
+const PROVIDERS = {
+  imagekit: createImagekitProvider,
+  local: createLocalProvider,
+};
+
+// Per-context sizes. `width` is the CSS size the layout reserves; `widths`
+// are the srcset breakpoints; aspect is [w, h].
+const PRESETS = {
+  // 56px tiles in tables and link cards
+  thumb: { width: 56, widths: [56, 112, 168], sizes: "56px", aspect: [1, 1], quality: 50 },
+  // Detail page hero (full width on phones, a 360px column from 860px)
+  hero: {
+    width: 360,
+    widths: [320, 480, 720, 1080],
+    sizes: "(min-width: 860px) 360px, calc(100vw - 2rem)",
+    aspect: [1, 1],
+    photoAspect: [4, 3],
+    quality: 70,
+    placeholder: true,
+  },
+};
+
+const FORMATS = [
+  { type: "image/avif", f: "avif" },
+  { type: "image/webp", f: "webp" },
+];
+
+// Blur-up placeholder: a few hundred bytes, stretched and blurred by CSS
+const PLACEHOLDER = { width: 24, quality: 20, blur: 10 };
+
+let provider = null;
+
+function providerName() {
+  const explicit = String(process.env.PASTA_IMAGE_PROVIDER || "").trim().toLowerCase();
+  return PROVIDERS[explicit] ? explicit : "imagekit";
+}
+
+/**
+ * The provider for this build (created once, so the local one can collect
+ * every image the templates ask for and write them in finish()).
+ */
+function getImageProvider() {
+  if (!provider) provider = PROVIDERS[providerName()]();
+  return provider;
+}
+
+const isUrl = (value) => /^https?:\/\//i.test(value);
+
+// False when there's no file to show (blank, or the provider doesn't have it)
+function isAvailable(key, file) {
+  const f = String(file || "").trim();
+  return Boolean(f) && (isUrl(f) || getImageProvider().has(key, f));
+}
+
+/**
+ * True only when the provider can list its files and has this one (so never
+ * for ImageKit). For optional extras that shouldn't risk a broken image.
+ */
+function isKnownFile(key, file) {
+  const f = String(file || "").trim();
+  const p = getImageProvider();
+  return Boolean(f) && !isUrl(f) && p.listsFiles && p.has(key, f);
+}
+
+/**
+ * URL for one file in a folder, or the folder's pending image.
+ */
+function assetUrl(key, file, params) {
+  const p = getImageProvider();
+  const f = String(file || "").trim();
+  if (!isAvailable(key, f)) return p.pendingUrl(key, params);
+  return isUrl(f) ? p.urlWithParams(f, params) : p.fileUrl(key, f, params);
+}
+
+// params (optional) size the image: { w: 56, h: 56, f: "auto", q: 50 }
+function thumbUrl(file, params) {
+  return assetUrl("thumbs", file, params);
+}
+
+function photoUrl(file, params) {
+  return assetUrl("full", file, params);
+}
+
+// Photo when there is one, else the thumbnail, else the pending photo
+function heroSource(thumbFile, photoFile) {
+  const p = String(photoFile || "").trim();
+  if (p) return { key: "full", file: p, photo: true };
+  const t = String(thumbFile || "").trim();
+  if (t) return { key: "thumbs", file: t, photo: false };
+  return { key: "full", file: "", photo: true };
+}
+
+function heroUrl(thumbFile, photoFile, params) {
+  const source = heroSource(thumbFile, photoFile);
+  return assetUrl(source.key, source.file, params);
+}
+
+/**
+ * Folder URLs for browser scripts that build image URLs themselves.
+ */
+function folderUrl(key) {
+  return getImageProvider().folderUrl(key);
+}
+
+function escapeAttr(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * <picture> (wrapped for blur-up when the preset asks for it) for one image.
+ * `file` is a thumbnail filename or URL; opts = { photo, folder, alt, class, loading }.
+ */
+function pastaPictureHtml(presetName, file, opts = {}) {
+  const preset = PRESETS[presetName];
+  if (!preset) throw new Error(`pasta-images.js: unknown image preset "${presetName}"`);
+
+  const formats = FORMATS.filter((fmt) => getImageProvider().formats.includes(fmt.f));
+  let source = { key: "thumbs", file, photo: false };
+  if (opts.folder) source = { key: opts.folder, file, photo: opts.folder === "full" };
+  else if ("photo" in opts) source = heroSource(file, opts.photo);
+  const [aw, ah] = source.photo && preset.photoAspect ? preset.photoAspect : preset.aspect;
+  const heightFor = (w) => Math.round((w * ah) / aw);
+  const url = (params) => assetUrl(source.key, source.file, params);
+
+  const srcset = (f) =>
+    preset.widths.map((w) => `${url({ w, h: heightFor(w), f, q: preset.quality })} ${w}w`).join(", ");
+
+  const loading = opts.loading || "lazy";
+
+  // Nothing to show yet: the pending image, no sources or blur-up
+  if (!isAvailable(source.key, source.file)) {
+    const pendingClass = ["pasta-img__img", "pasta-img__img--pending", opts.class].filter(Boolean).join(" ");
+    return `<img class="${escapeAttr(pendingClass)}" src="${escapeAttr(url({ w: preset.width, h: heightFor(preset.width), f: "auto", q: preset.quality }))}" alt="${escapeAttr(opts.alt)}" width="${preset.width}" height="${heightFor(preset.width)}" loading="${loading}" decoding="async">`;
+  }
+
+  const imgAttrs = [
+    `class="${escapeAttr(["pasta-img__img", opts.class].filter(Boolean).join(" "))}"`,
+    `src="${escapeAttr(url({ w: preset.width, h: heightFor(preset.width), f: "auto", q: preset.quality }))}"`,
+    `srcset="${escapeAttr(srcset("auto"))}"`,
+    `sizes="${preset.sizes}"`,
+    `alt="${escapeAttr(opts.alt)}"`,
+    `width="${preset.width}"`,
+    `height="${heightFor(preset.width)}"`,
+    `loading="${loading}"`,
+    'decoding="async"',
+  ];
+  if (loading === "eager") imgAttrs.push('fetchpriority="high"');
+
+  const picture = [
+    "<picture>",
+    ...formats.map((fmt) => `<source type="${fmt.type}" srcset="${escapeAttr(srcset(fmt.f))}" sizes="${preset.sizes}">`),
+    `<img ${imgAttrs.join(" ")}>`,
+    "</picture>",
+  ].join("");
+
+  if (!preset.placeholder) return picture;
+
+  const blur = url({ w: PLACEHOLDER.width, h: heightFor(PLACEHOLDER.width), q: PLACEHOLDER.quality, bl: PLACEHOLDER.blur });
+  return [
+    `<span class="pasta-img pasta-img--${presetName}">`,
+    `<img class="pasta-img__blur" src="${escapeAttr(blur)}" alt="" aria-hidden="true" width="${preset.width}" height="${heightFor(preset.width)}">`,
+    picture,
+    "</span>",
+  ].join("");
+}
+
+/**
+ * Write any files the provider still owes (local provider; no-op for ImageKit).
+ */
+function finishImages(outputDir) {
+  return getImageProvider().finish(outputDir);
+}
+
+module.exports = {
+  PRESETS,
+  providerName,
+  getImageProvider,
+  isAvailable,
+  isKnownFile,
+  assetUrl,
+  folderUrl,
+  thumbUrl,
+  photoUrl,
+  heroUrl,
+  pastaPictureHtml,
+  finishImages,
+};
@@ -0,0 +1,217 @@
+// src/_lib/pasta-index.js
+// Builds the alias/search index published as `data.pastaIndex` and
+// /api/pasta-index.json. Lives in _lib (not _data) so other data modules,
+// like the relationship graph, can resolve names through the same index.
+//
+// Rows come from the shared loader (/src/_lib/pasta-csv.js), so list columns
+// such as Synonyms / SearchAliases are already arrays.
+const { loadPastaCsv } = require("./pasta-csv");
+const { publishedRows } = require("./pasta-editorial");
+
+let cache = null; // { rows, index } - rows array identity changes when the CSV does
+
+function normalize(s) {
+  return (s || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9\s-]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Slugify that should match your Nunjucks `| slug` behavior closely enough
+function slugify(s) {
+  return normalize(s)
+    .replace(/\s+/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// Best-effort pick of a "description" column
+function pickDescription(row) {
+  // Add/adjust these as your CSV evolves - this is just a safe default set.
+  const candidates = [
+    "Description",
+    "ShortDescription",
+    "Summary",
+    "Definition",
+    "Notes",
+    "Blurb",
+    "Desc",
+  ];
+
+  for (const key of candidates) {
+    if (row[key] && String(row[key]).trim()) return String(row[key]).trim();
+  }
+
+  return "";
+}
+
+// Build-time report so editors can clean up aliases shared by several rows.
+function reportCollisions(collisions) {
+  if (!collisions.length) return;
+
+  const ambiguous = collisions.filter((c) => !c.owner);
+  const shadowed = collisions.filter((c) => c.owner);
+
+  const lines = [
+    `pastaIndex.js: ${collisions.length} alias(es) claimed by more than one shape ` +
+      `(${ambiguous.length} ambiguous, ${shadowed.length} resolved to the shape with that name)`,
+  ];
+
+  for (const c of ambiguous) {
+    lines.push(`  AMBIGUOUS "${c.key}": ${c.slugs.join(", ")}`);
+  }
+  for (const c of shadowed) {
+    const others = c.slugs.filter((s) => s !== c.owner);
+    lines.push(`  NAME      "${c.key}": ${c.owner} (also listed by ${others.join(", ")})`);
+  }
+
+  console.warn(lines.join("\n"));
+}
+
+function buildPastaIndex(rows, { report = true } = {}) {
+  // Column names (match your CSV)
+  const COL_NAME = "ShapeName";
+  const COL_SLUG = "Slug"; // optional - if absent, we compute from ShapeName
+  const COL_SYNONYMS = "Synonyms"; // optional; list column
+  const COL_SEARCH_ALIASES = "SearchAliases"; // optional; list column (NEW)
+
+  const entries = [];
+
+  // Many-to-many: every normalized alias -> every slug that claims it.
+  const aliasToSlugs = {};
+  // Keys that are a shape's OWN name/slug. These always resolve to that shape,
+  // even when another row lists the same word as an alias.
+  const canonicalKeyToSlug = {};
+
+  const addAlias = (key, slug) => {
+    if (!aliasToSlugs[key]) aliasToSlugs[key] = [];
+    if (!aliasToSlugs[key].includes(slug)) aliasToSlugs[key].push(slug);
+  };
+
+  for (const r of rows) {
+    const name = r[COL_NAME];
+    if (!name) continue;
+
+    // Use Slug column if present, otherwise compute from name
+    const slug = r[COL_SLUG] || (r.slug && r.slug.trim()) || slugify(name);
+
+    if (!slug) continue;
+
+    const url = `/pasta/${slug}/`;
+    const synonyms = r[COL_SYNONYMS];
+    const searchAliases = r[COL_SEARCH_ALIASES]; // NEW
+    const description = pickDescription(r);
+
+    // Helpful: allow search by slug tokens too (people sometimes paste URLs or type hyphenated)
+    const slugAsTyped = slug;
+    const slugAsWords = slug.replace(/-/g, " ");
+
+    const allAliases = [
+      name,
+      ...synonyms,
+      ...searchAliases, // NEW
+      slugAsTyped,
+      slugAsWords,
+    ];
+
+    entries.push({
+      name,
+      slug,
+      url,
+      synonyms,
+      searchAliases, // NEW: used by UI to show "commonly known as ..."
+      description,
+    });
+
+    for (const c of [name, slugAsTyped, slugAsWords]) {
+      const key = normalize(c);
+      if (key && !canonicalKeyToSlug[key]) canonicalKeyToSlug[key] = slug;
+    }
+
+    for (const a of allAliases) {
+      const key = normalize(a);
+      if (!key) continue;
+      addAlias(key, slug);
+    }
+  }
+
+  // aliasToSlug keeps its old meaning ("safe to redirect") for existing clients:
+  // - a shape's own name/slug always wins
+  // - otherwise only aliases claimed by exactly ONE shape are included
+  // Shared aliases go to ambiguousAliases so the UI can ask which one was meant.
+  const aliasToSlug = {};
+  const ambiguousAliases = {};
+  const collisions = [];
+
+  for (const [key, slugs] of Object.entries(aliasToSlugs)) {
+    const owner = canonicalKeyToSlug[key];
+
+    if (owner) aliasToSlug[key] = owner;
+    else if (slugs.length === 1) aliasToSlug[key] = slugs[0];
+    else ambiguousAliases[key] = slugs;
+
+    if (slugs.length > 1) collisions.push({ key, slugs, owner });
+  }
+
+  if (report) reportCollisions(collisions);
+
+  const normalizedNames = entries.map((e) => ({
+    slug: e.slug,
+    url: e.url,
+    name: e.name,
+    key: normalize(e.name),
+  }));
+
+  return {
+    version: 3, // bumped because schema changed (aliasToSlugs + ambiguousAliases)
+    generatedAt: new Date().toISOString(),
+    entries,
+    aliasToSlug,
+    aliasToSlugs,
+    ambiguousAliases,
+    normalizedNames,
+  };
+}
+
+/**
+ * A free-text shape name ("Ziti lunghi", "penne rigate") -> { slug } through
+ * the index, or { slug: null, reason } with reason "blank", "unknown" or
+ * "ambiguous" (+ candidates: the slugs sharing that alias). The graph and the
+ * CSV validator both resolve names here, so they agree on what resolves.
+ */
+function resolveName(index, name) {
+  const key = normalize(name);
+  if (!key) return { slug: null, reason: "blank" };
+
+  const slug = index.aliasToSlug[key];
+  if (slug) return { slug };
+
+  const candidates = index.ambiguousAliases[key];
+  if (candidates) return { slug: null, reason: "ambiguous", candidates };
+
+  return { slug: null, reason: "unknown" };
+}
+
+/**
+ * The alias index for the live CSV (cached per load, so the collision report
+ * prints once per build no matter how many modules ask for it).
+ */
+function getPastaIndex() {
+  const rows = publishedRows(loadPastaCsv().rows);
+  if (cache && cache.rows === rows) return cache.index;
+
+  const index = buildPastaIndex(rows);
+  cache = { rows, index };
+  return index;
+}
+
+module.exports = {
+  normalize,
+  buildPastaIndex,
+  getPastaIndex,
+  resolveName,
+};
@@ -0,0 +1,366 @@
+// src/_lib/pasta-pairings.js
+// =============================================================================
+// PURPOSE
+// - Sauce-first view of the pairing columns ("what pasta goes with this sauce?").
+// - Builds a normalised sauce taxonomy from ClassicSaucePairings, PairsWellWith,
+//   BestFor, PairingTags and AvoidWith, then ranks shapes per sauce.
+// - Raw values that don't map to the taxonomy, and controlled values spelled
+//   several ways, are reported at build time so editors can clean them.
+//
+// TAXONOMY
+// - FAMILIES  broad groups; PairingTags map onto these ("ragù/meat" -> ragu-meat).
+//             A family with only one sauce is merged into that sauce's page
+//             (its url points there) rather than getting a near-copy of it.
+// - SAUCES    canonical sauces, each in one family. A raw value maps to the
+//             FIRST sauce with a keyword starting one of its words (after
+//             accent folding), so specific sauces are listed before the
+//             generic ones ("Seafood ragù" -> seafood, "Bean soup" -> legumes).
+//
+// SCORING (per shape, per sauce)
+//   ClassicSaucePairings   3     (the curated list)
+//   PairsWellWith          2     (comma-separated dishes)
+//   BestFor                1
+//   PairingTags family     1     (only counts alongside another match)
+// - AvoidWith moves a shape to the sauce's "avoid" list (with AvoidWithWhy).
+//
+// OUTPUT (see getPastaPairings)
+// - families  [{ slug, name, url, merged, sauces: [sauce slug], shapes: [link] }]
+// - sauces    [{ slug, name, url, family, familyName, familyUrl, shapes: [link], avoid: [link] }]
+//             familyUrl is "" when the family is merged into this sauce
+//             link = { slug, name, url, thumb, score, why, via: [raw value], classic }
+// - pages     unmerged families + sauces in one list (one /pairings/<slug>/ page each)
+// - report    { variants: [{ slug, name, spellings }], unmapped: [{ value, column, count }] }
+// =============================================================================
+
+const { loadPastaCsv } = require("./pasta-csv");
+const { publishedRows } = require("./pasta-editorial");
+const { normalize } = require("./pasta-index");
+const { parseWhy } = require("./pasta-graph");
+
+let cache = null; // { rows, pairings }
+
+const FAMILIES = [
+  { slug: "tomato", name: "Tomato", tags: ["tomato"] },
+  { slug: "ragu-meat", name: "Ragù & meat", tags: ["ragù/meat"] },
+  { slug: "guanciale-pork", name: "Guanciale & pork", tags: ["guanciale/pork"] },
+  { slug: "cheese-cream", name: "Cheese, butter & cream", tags: ["cheese/cream"] },
+  { slug: "pesto-herbs", name: "Pesto & herbs", tags: ["pesto/herbs"] },
+  { slug: "oil-garlic", name: "Oil & garlic", tags: ["oil/garlic"] },
+  { slug: "seafood", name: "Seafood", tags: ["seafood"] },
+  { slug: "vegetables", name: "Vegetables", tags: ["vegetables"] },
+  { slug: "legumes", name: "Beans & legumes", tags: ["legumes"] },
+  { slug: "broth-soup", name: "Broth & soup", tags: ["broth/soup"] },
+  { slug: "baked", name: "Baked", tags: ["baked"] },
+];
+
+// Order matters: first keyword hit wins (specific before generic)
+const SAUCES = [
+  { slug: "seafood-sauce", name: "Seafood sauces", family: "seafood", match: ["seafood", "clam", "fish", "calamari", "anchov", "salmon", "shellfish", "mussel"] },
+  { slug: "pesto", name: "Pesto", family: "pesto-herbs", match: ["pesto", "herb oil"] },
+  { slug: "walnut-sauce", name: "Walnut sauce", family: "pesto-herbs", match: ["walnut", "noci"] },
+  { slug: "bean-legume", name: "Beans & legumes", family: "legumes", match: ["bean", "fagioli", "chickpea", "legume", "lentil"] },
+  { slug: "broths-soups", name: "Broth & soups", family: "broth-soup", match: ["broth", "brodo", "soup"] },
+  { slug: "baked-dishes", name: "Baked dishes", family: "baked", match: ["baked", "forno", "casserole"] },
+  { slug: "carbonara-amatriciana", name: "Carbonara, amatriciana & gricia", family: "guanciale-pork", match: ["carbonara", "amatriciana", "gricia", "guanciale"] },
+  { slug: "vegetable-sauce", name: "Greens & other vegetables", family: "vegetables", match: ["vegetable", "broccoli", "cime di rapa", "peas", "spinach"] },
+  { slug: "meat-ragu", name: "Meat ragù", family: "ragu-meat", match: ["ragu", "bolognese", "meat", "boar", "lamb", "duck", "game", "goulash", "sausage", "sunday sauce"] },
+  { slug: "pork-ham", name: "Pork & ham", family: "guanciale-pork", match: ["prosciutto", "ham", "pork"] },
+  { slug: "butter-sage", name: "Butter & sage", family: "cheese-cream", match: ["sage", "salvia"] },
+  { slug: "chunky-tomato", name: "Chunky tomato sauces", family: "tomato", match: ["chunky tomato", "thick tomato"] },
+  { slug: "light-tomato", name: "Light tomato sauces", family: "tomato", match: ["light tomato"] },
+  { slug: "tomato-sauce", name: "Classic tomato sauces", family: "tomato", match: ["tomato", "marinara", "arrabbiata", "vodka", "sorrentina"] },
+  { slug: "butter-cheese", name: "Butter & cheese", family: "cheese-cream", match: ["butter", "cacio e pepe", "pecorino"] },
+  { slug: "cream-sauce", name: "Cream & cheese sauces", family: "cheese-cream", match: ["cream", "cheese", "alfredo", "bechamel", "ricotta"] },
+  { slug: "mushroom-truffle", name: "Mushroom & truffle", family: "vegetables", match: ["mushroom", "truffle", "porcini"] },
+  { slug: "olive-oil", name: "Olive oil & garlic", family: "oil-garlic", match: ["olive oil", "aglio", "garlic", "white wine"] },
+];
+
+// Pairing columns, how a cell is split and what a match is worth
+const SOURCES = [
+  { column: "ClassicSaucePairings", label: "Classic pairing", weight: 3, controlled: true },
+  { column: "PairsWellWith", label: "Pairs well with", weight: 2, split: /[,;]/ },
+  { column: "BestFor", label: "Best for", weight: 1, split: /;/ },
+];
+
+const TAG_WEIGHT = 1;
+const MIN_SCORE = 2; // a tag alone doesn't put a shape on a sauce page
+
+// BestFor values that describe how a shape is served, not a sauce
+const IGNORED = new Set(["pastasciutta"]);
+
+// Accent-folded, lowercased ("Ragù" -> "ragu")
+function fold(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Keywords match at the start of a word ("ham" must not hit "bechamel")
+const SAUCE_PATTERNS = SAUCES.map((s) => ({
+  sauce: s,
+  re: new RegExp(`(^|[^a-z])(${s.match.map((k) => k.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})`),
+}));
+
+function sauceFor(value) {
+  const v = fold(value);
+  if (!v) return null;
+  const hit = SAUCE_PATTERNS.find((p) => p.re.test(v));
+  return hit ? hit.sauce : null;
+}
+
+function familyForTag(tag) {
+  const t = fold(tag);
+  return FAMILIES.find((f) => f.tags.some((x) => fold(x) === t)) || null;
+}
+
+function splitCell(row, source) {
+  const v = row[source.column];
+  const list = Array.isArray(v) ? v : String(v || "").split(source.split || /;/);
+  return list.map((s) => s.trim()).filter(Boolean);
+}
+
+// Long prose cells (BestFor sentences) aren't worth reporting as unmapped
+const MAX_REPORTED_LENGTH = 60;
+
+function buildPastaPairings(rows) {
+  const familyBySlug = new Map(FAMILIES.map((f) => [f.slug, f]));
+
+  // sauce slug -> Map(shape slug -> { score, via: [], why })
+  const hits = new Map(SAUCES.map((s) => [s.slug, new Map()]));
+  const avoids = new Map(SAUCES.map((s) => [s.slug, new Map()]));
+  // family slug -> Set(shape slug) from PairingTags
+  const tagged = new Map(FAMILIES.map((f) => [f.slug, new Set()]));
+
+  const spellings = new Map(); // canonical slug -> Map(raw -> count) (controlled columns)
+  const unmapped = new Map(); // "column|value" -> { value, column, count }
+
+  const noteSpelling = (slug, raw) => {
+    if (!spellings.has(slug)) spellings.set(slug, new Map());
+    const m = spellings.get(slug);
+    m.set(raw, (m.get(raw) || 0) + 1);
+  };
+
+  const noteUnmapped = (column, value) => {
+    if (value.length > MAX_REPORTED_LENGTH) return;
+    const key = `${column}|${value}`;
+    if (!unmapped.has(key)) unmapped.set(key, { value, column, count: 0 });
+    unmapped.get(key).count += 1;
+  };
+
+  const shapeBySlug = new Map();
+
+  for (const r of rows) {
+    const slug = r.Slug;
+    if (!slug || !r.ShapeName) continue;
+    shapeBySlug.set(slug, r);
+
+    // Tags -> families
+    for (const tag of r.PairingTags || []) {
+      const family = familyForTag(tag);
+      if (family) {
+        tagged.get(family.slug).add(slug);
+        noteSpelling(`family:${family.slug}`, tag);
+      } else {
+        noteUnmapped("PairingTags", tag);
+      }
+    }
+
+    // Sauce columns -> sauces
+    for (const source of SOURCES) {
+      const seenHere = new Set();
+      for (const raw of splitCell(r, source)) {
+        if (IGNORED.has(fold(raw))) continue;
+
+        const sauce = sauceFor(raw);
+        if (!sauce) {
+          noteUnmapped(source.column, raw);
+          continue;
+        }
+        if (source.controlled) noteSpelling(sauce.slug, raw);
+        if (seenHere.has(sauce.slug)) {
+          hits.get(sauce.slug).get(slug).via.push(raw);
+          continue;
+        }
+        seenHere.add(sauce.slug);
+
+        const m = hits.get(sauce.slug);
+        if (!m.has(slug)) m.set(slug, { score: 0, via: [], why: "", classic: false });
+        const hit = m.get(slug);
+        hit.score += source.weight;
+        hit.via.push(raw);
+        if (source.column === "ClassicSaucePairings") {
+          hit.classic = true;
+          hit.why = r.ClassicSaucePairingsWhy || "";
+        }
+      }
+    }
+
+    // AvoidWith -> avoid lists (reason from AvoidWithWhy, "Sauce - reason | ...")
+    const avoidWhy = parseWhy(r.AvoidWithWhy);
+    for (const raw of r.AvoidWith || []) {
+      const sauce = sauceFor(raw);
+      if (!sauce) {
+        noteUnmapped("AvoidWith", raw);
+        continue;
+      }
+      const why = avoidWhy.byKey.get(normalize(raw)) || avoidWhy.fallback || "";
+      avoids.get(sauce.slug).set(slug, { score: 0, via: [raw], why });
+    }
+  }
+
+  const toLink = (shapeSlug, hit) => {
+    const r = shapeBySlug.get(shapeSlug);
+    return {
+      slug: shapeSlug,
+      name: r.ShapeName,
+      url: `/pasta/${shapeSlug}/`,
+      thumb: r.ThumbnailImage || "",
+      score: hit.score,
+      why: hit.why,
+      via: hit.via,
+      classic: !!hit.classic,
+    };
+  };
+
+  const byScore = (a, b) => b.score - a.score || a.name.localeCompare(b.name);
+
+  const sauces = SAUCES.map((s) => {
+    const avoidSet = avoids.get(s.slug);
+    const family = familyBySlug.get(s.family);
+
+    const shapes = Array.from(hits.get(s.slug).entries())
+      .filter(([slug]) => !avoidSet.has(slug))
+      .map(([slug, hit]) => {
+        // The family tag backs up a direct match
+        const tag = tagged.get(s.family).has(slug) ? TAG_WEIGHT : 0;
+        return toLink(slug, { ...hit, score: hit.score + tag });
+      })
+      .filter((l) => l.score >= MIN_SCORE)
+      .sort(byScore);
+
+    return {
+      slug: s.slug,
+      name: s.name,
+      url: `/pairings/${s.slug}/`,
+      kind: "sauce",
+      family: s.family,
+      familyName: family ? family.name : "",
+      familyUrl: "", // set once the families are known
+      shapes,
+      avoid: Array.from(avoidSet.entries()).map(([slug, hit]) => toLink(slug, hit)).sort(byScore),
+    };
+  }).filter((s) => s.shapes.length || s.avoid.length);
+
+  const families = FAMILIES.map((f) => {
+    const members = sauces.filter((s) => s.family === f.slug);
+
+    // Best score per shape across the family's sauces, +tag
+    const best = new Map();
+    for (const s of members) {
+      for (const l of s.shapes) {
+        const prev = best.get(l.slug);
+        if (!prev || l.score > prev.score) best.set(l.slug, { ...l, via: [...l.via] });
+      }
+    }
+    for (const slug of tagged.get(f.slug)) {
+      if (!best.has(slug)) best.set(slug, toLink(slug, { score: TAG_WEIGHT, via: [], why: "" }));
+    }
+
+    // One sauce: its page already is the family's page
+    const merged = members.length === 1;
+
+    return {
+      slug: f.slug,
+      name: f.name,
+      url: merged ? members[0].url : `/pairings/${f.slug}/`,
+      kind: "family",
+      merged,
+      sauces: members.map((s) => s.slug),
+      shapes: merged ? members[0].shapes : Array.from(best.values()).sort(byScore),
+      avoid: [],
+    };
+  }).filter((f) => f.shapes.length);
+
+  for (const s of sauces) {
+    const family = families.find((f) => f.slug === s.family);
+    if (family && !family.merged) s.familyUrl = family.url;
+  }
+
+  // Controlled values that reach one canonical entry through several spellings
+  const canonicalName = (key) =>
+    key.startsWith("family:")
+      ? (familyBySlug.get(key.slice(7)) || {}).name
+      : (SAUCES.find((s) => s.slug === key) || {}).name;
+
+  const variants = Array.from(spellings.entries())
+    .filter(([, m]) => m.size > 1)
+    .map(([key, m]) => ({
+      slug: key,
+      name: canonicalName(key),
+      spellings: Array.from(m.entries()).map(([value, count]) => ({ value, count })),
+    }));
+
+  // Families and sauces share the /pairings/<slug>/ namespace
+  const pages = [...families.filter((f) => !f.merged), ...sauces];
+  const seenSlugs = new Set();
+  for (const p of pages) {
+    if (seenSlugs.has(p.slug)) throw new Error(`pasta-pairings.js: duplicate page slug "${p.slug}"`);
+    seenSlugs.add(p.slug);
+  }
+
+  return {
+    families,
+    sauces,
+    pages,
+    report: {
+      variants,
+      unmapped: Array.from(unmapped.values()).sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    },
+  };
+}
+
+// Build-time report so editors can normalise pairing values.
+function reportPairings(report) {
+  const { variants, unmapped } = report;
+  if (!variants.length && !unmapped.length) return;
+
+  const lines = [
+    `pasta-pairings.js: ${variants.length} sauce(s) spelled several ways, ` +
+      `${unmapped.length} pairing value(s) not in the sauce taxonomy`,
+  ];
+
+  for (const v of variants) {
+    const list = v.spellings.map((s) => `"${s.value}" (${s.count})`).join(", ");
+    lines.push(`  VARIANTS  ${v.name}: ${list}`);
+  }
+  for (const u of unmapped) {
+    lines.push(`  UNMAPPED  ${u.column}: "${u.value}" (${u.count})`);
+  }
+
+  console.warn(lines.join("\n"));
+}
+
+/**
+ * The sauce taxonomy for the live CSV (cached per load, so the report prints once).
+ */
+function getPastaPairings() {
+  const rows = publishedRows(loadPastaCsv().rows);
+  if (cache && cache.rows === rows) return cache.pairings;
+
+  const pairings = buildPastaPairings(rows);
+  reportPairings(pairings.report);
+
+  cache = { rows, pairings };
+  return pairings;
+}
+
+module.exports = {
+  FAMILIES,
+  SAUCES,
+  sauceFor,
+  buildPastaPairings,
+  getPastaPairings,
+};
@@ -0,0 +1,191 @@
+// src/_lib/pasta-regions.js
+// =============================================================================
+// PURPOSE
+// - Browse shapes by Italian region: /regions/ (shaded SVG map + list) and one
+//   /region/<slug>/ page per region.
+// - Region columns are free-ish text ("Puglia (Salento)", "Basilicata;
+//   Calabria", "Tyrol / Northern Italy"), so each value is matched against the
+//   REGIONS names and aliases (accent-folded, whole words). A value can name
+//   several regions. Longer names win over the words inside them, so
+//   "Friuli-Venezia Giulia" doesn't also count as Veneto ("venezia").
+//
+// ROLES (how a shape reaches a region page, strongest first)
+//   primary     RegionPrimary
+//   secondary   RegionSecondary
+//   origin      OriginRegion / CityOrRegionMostAssociated only
+// - RegionConfidence (High / Medium / Low) is carried on every link so pages
+//   can set low-confidence attributions apart.
+// - Values that name no region ("Various", "Southern Italy") are collected in
+//   `areas` instead, so the shapes are still reachable from /regions/.
+//
+// OUTPUT (see getPastaRegions)
+// - regions  [{ slug, name, url, count, shade, shapes: [link] }] (all 20)
+//            link = { slug, name, url, thumb, role, confidence, place }
+// - areas    [{ name, shapes: [link] }]
+// - max      highest region count (for the map legend)
+// =============================================================================
+
+const { loadPastaCsv } = require("./pasta-csv");
+const { publishedRows } = require("./pasta-editorial");
+
+let cache = null; // { rows, regions }
+
+// The 20 regions; `aliases` are the other spellings seen in the data
+const REGIONS = [
+  { slug: "aosta-valley", name: "Aosta Valley", aliases: ["valle d'aosta", "valle daosta", "aosta"] },
+  { slug: "piedmont", name: "Piedmont", aliases: ["piemonte"] },
+  { slug: "liguria", name: "Liguria", aliases: ["genoa", "genova"] },
+  { slug: "lombardy", name: "Lombardy", aliases: ["lombardia", "milan"] },
+  { slug: "trentino-alto-adige", name: "Trentino-Alto Adige", aliases: ["trentino", "alto adige", "south tyrol", "sudtirol", "tyrol"] },
+  { slug: "veneto", name: "Veneto", aliases: ["venice", "venezia"] },
+  { slug: "friuli-venezia-giulia", name: "Friuli-Venezia Giulia", aliases: ["friuli venezia giulia", "friuli"] },
+  { slug: "emilia-romagna", name: "Emilia-Romagna", aliases: ["emilia", "romagna", "bologna", "modena"] },
+  { slug: "tuscany", name: "Tuscany", aliases: ["toscana", "florence", "firenze"] },
+  { slug: "marche", name: "Marche", aliases: ["le marche"] },
+  { slug: "umbria", name: "Umbria", aliases: [] },
+  { slug: "lazio", name: "Lazio", aliases: ["rome", "roma"] },
+  { slug: "abruzzo", name: "Abruzzo", aliases: ["teramo"] },
+  { slug: "molise", name: "Molise", aliases: [] },
+  { slug: "campania", name: "Campania", aliases: ["naples", "napoli", "amalfi"] },
+  { slug: "apulia", name: "Apulia", aliases: ["puglia", "salento", "bari"] },
+  { slug: "basilicata", name: "Basilicata", aliases: ["lucania"] },
+  { slug: "calabria", name: "Calabria", aliases: [] },
+  { slug: "sicily", name: "Sicily", aliases: ["sicilia", "palermo", "messina", "trapani"] },
+  { slug: "sardinia", name: "Sardinia", aliases: ["sardegna"] },
+];
+
+const ROLES = ["primary", "secondary", "origin"];
+
+// Map shading: counts are bucketed into this many steps (0 = no shapes)
+const SHADES = 5;
+
+// Accent-folded, lowercased, apostrophes dropped ("Valle d’Aosta" -> "valle daosta")
+function fold(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Every name and alias, longest first, as a whole-word pattern
+const NAME_PATTERNS = REGIONS.flatMap((r) => [r.name, ...r.aliases].map((n) => ({ region: r, name: fold(n) })))
+  .sort((a, b) => b.name.length - a.name.length)
+  .map((p) => ({
+    region: p.region,
+    re: new RegExp(`(^|[^a-z])(${p.name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")})(?=$|[^a-z])`, "g"),
+  }));
+
+/**
+ * Every region a free-text value names ("Basilicata; Calabria" -> both).
+ * Longest names match first and claim their text, so a shorter alias inside
+ * them ("venezia" in "Friuli-Venezia Giulia") doesn't match again.
+ */
+function regionsIn(value) {
+  const v = fold(value);
+  if (!v) return [];
+
+  const claimed = new Array(v.length).fill(false);
+  const found = new Set();
+  for (const p of NAME_PATTERNS) {
+    p.re.lastIndex = 0;
+    let m;
+    while ((m = p.re.exec(v))) {
+      const start = m.index + m[1].length;
+      const end = start + m[2].length;
+      if (claimed.slice(start, end).some(Boolean)) continue;
+      claimed.fill(true, start, end);
+      found.add(p.region);
+    }
+  }
+  return REGIONS.filter((r) => found.has(r));
+}
+
+function confidenceOf(row) {
+  const c = fold(row.RegionConfidence);
+  return ["high", "medium", "low"].includes(c) ? c : "";
+}
+
+function buildPastaRegions(rows) {
+  // region slug -> Map(shape slug -> link)
+  const byRegion = new Map(REGIONS.map((r) => [r.slug, new Map()]));
+  const areas = new Map(); // RegionPrimary value -> [link]
+
+  for (const r of rows) {
+    if (!r.Slug || !r.ShapeName) continue;
+
+    const base = {
+      slug: r.Slug,
+      name: r.ShapeName,
+      url: `/pasta/${r.Slug}/`,
+      thumb: r.ThumbnailImage || "",
+      confidence: confidenceOf(r),
+      place: r.CityOrRegionMostAssociated && r.CityOrRegionMostAssociated !== "Unknown" ? r.CityOrRegionMostAssociated : "",
+    };
+
+    const sources = {
+      primary: [r.RegionPrimary],
+      secondary: [r.RegionSecondary],
+      origin: [r.OriginRegion, r.CityOrRegionMostAssociated],
+    };
+
+    for (const role of ROLES) {
+      for (const value of sources[role]) {
+        for (const region of regionsIn(value)) {
+          const m = byRegion.get(region.slug);
+          if (m.has(r.Slug)) continue; // keep the strongest role
+          m.set(r.Slug, { ...base, role });
+        }
+      }
+    }
+
+    // "Various", "Southern Italy", ... -> listed by that label on /regions/
+    const primary = String(r.RegionPrimary || "").trim();
+    if (primary && !regionsIn(primary).length) {
+      if (!areas.has(primary)) areas.set(primary, []);
+      areas.get(primary).push({ ...base, role: "primary" });
+    }
+  }
+
+  const roleRank = (l) => ROLES.indexOf(l.role);
+  const byRole = (a, b) => roleRank(a) - roleRank(b) || a.name.localeCompare(b.name);
+
+  const regions = REGIONS.map((r) => {
+    const shapes = Array.from(byRegion.get(r.slug).values()).sort(byRole);
+    return { slug: r.slug, name: r.name, url: `/region/${r.slug}/`, count: shapes.length, shapes };
+  });
+
+  const max = Math.max(0, ...regions.map((r) => r.count));
+  for (const r of regions) {
+    r.shade = r.count && max ? Math.max(1, Math.ceil((r.count / max) * (SHADES - 1))) : 0;
+  }
+
+  return {
+    regions,
+    areas: Array.from(areas.entries())
+      .map(([name, shapes]) => ({ name, shapes: shapes.sort(byRole) }))
+      .sort((a, b) => b.shapes.length - a.shapes.length || a.name.localeCompare(b.name)),
+    max,
+  };
+}
+
+/**
+ * Regions for the live CSV (cached per load).
+ */
+function getPastaRegions() {
+  const rows = publishedRows(loadPastaCsv().rows);
+  if (cache && cache.rows === rows) return cache.regions;
+
+  cache = { rows, regions: buildPastaRegions(rows) };
+  return cache.regions;
+}
+
+module.exports = {
+  REGIONS,
+  SHADES,
+  regionsIn,
+  buildPastaRegions,
+  getPastaRegions,
+};
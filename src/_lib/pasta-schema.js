@@ -0,0 +1,196 @@
+// src/_lib/pasta-schema.js
+// =============================================================================
+// PURPOSE
+// - Single declaration of every column in pasta.csv and the type it carries.
+// - The shared loader (pasta-csv.js) uses this to coerce raw CSV strings so
+//   every data file, template and API endpoint sees the SAME typed values.
+//
+// TYPES
+// - text    trimmed string ("" when blank)
+// - bool    true / false, or null when blank (accepts 1/0, 1.0/0.0, yes/no, y/n, true/false)
+// - number  finite number, or null when blank / not numeric ("500.0" -> 500)
+// - list    array of trimmed, non-empty strings split on ";" ([] when blank)
+//
+// ALLOWED VALUES
+// - A column may declare `values: [...]`. The loader does not enforce them;
+//   the build-time validator (pasta-validate.js) reports anything outside the list.
+//
+// NOTE
+// - Columns that are NOT declared here still load (as text), so adding a column
+//   to the CSV never breaks the build. Declare it here once you rely on it.
+// =============================================================================
+
+const COLUMNS = [
+  // Identity
+  { name: "ShapeName", type: "text" },
+  { name: "Slug", type: "text" },
+  { name: "Synonyms", type: "list" },
+  { name: "SearchAliases", type: "list" },
+  { name: "Category", type: "text", values: ["Short", "Long", "Soup (Pastina)", "Stuffed", "Sheet", "Dumpling"] },
+
+  // Descriptions + history
+  { name: "Description", type: "text" },
+  { name: "DescriptionShort", type: "text" },
+  { name: "DescriptionShort_Source", type: "text" },
+  { name: "KeyDiscriminators", type: "text" },
+  { name: "HistoryBlurb", type: "text" },
+  { name: "HistoryBlurb_Source", type: "text" },
+  { name: "HistoryShort", type: "text" },
+  { name: "HistoryShort_Source", type: "text" },
+  { name: "HistoryLong", type: "text" },
+  { name: "HistoryLong_Source", type: "text" },
+  { name: "EarliestAttestedMention", type: "text" },
+  { name: "SourceLink", type: "text" },
+  { name: "Pronunciation", type: "text" },
+  { name: "NameMeaning", type: "text" },
+  { name: "Trivia", type: "text" },
+
+  // Geometry (identify features)
+  { name: "PrimaryGeometry", type: "text" },
+  { name: "Type", type: "text", values: ["strand", "tube", "ribbon", "sheet", "short", "stuffed", "soup", "ring", "dumpling"] },
+  { name: "IsHollow", type: "bool" },
+  { name: "IsRidged", type: "bool" },
+  { name: "IsTwisted", type: "bool" },
+  { name: "IsCurved", type: "bool" },
+  { name: "SizeClass", type: "text", values: ["small", "medium", "large"] },
+  { name: "IsStuffed", type: "bool" },
+  { name: "CrossSection", type: "text" },
+  { name: "CutStyle", type: "text" },
+  { name: "IsConcave", type: "bool" },
+  { name: "HasRuffles", type: "bool" },
+  { name: "IsPastina", type: "bool" },
+  { name: "MadeMethod", type: "text" },
+
+  // Images (filenames only; URLs are built by the .eleventy.js filters)
+  { name: "ThumbnailImage", type: "text" },
+  { name: "PhotoImage", type: "text" },
+  // Detail-page gallery (src/_lib/pasta-gallery.js): one or more files per state
+  { name: "HeroImageUncooked", type: "list" },
+  { name: "HeroImageCooked", type: "list" },
+
+  // Relationships (free-text shape names)
+  { name: "KeyTells", type: "list" },
+  { name: "OftenConfusedWith", type: "list" },
+  { name: "OftenConfusedWithWhy", type: "text" },
+  { name: "SubstitutesClosest", type: "list" },
+  { name: "SubstitutesClosestWhy", type: "text" },
+  { name: "SubstitutesDecent", type: "list" },
+  { name: "SubstitutesDecentWhy", type: "text" },
+  { name: "SubstitutesEmergency", type: "list" },
+  { name: "SubstitutesEmergencyWhy", type: "text" },
+  { name: "SeeAlsoSlugs", type: "list" },
+  { name: "RecipeLinks", type: "list" },
+
+  // Pairings
+  { name: "BestFor", type: "text" },
+  { name: "BestFor_Source", type: "text" },
+  { name: "ClassicSaucePairings", type: "list" },
+  { name: "ClassicSaucePairingsWhy", type: "text" },
+  { name: "AvoidWith", type: "list" },
+  { name: "AvoidWithWhy", type: "text" },
+  { name: "PairsWellWith", type: "text" },
+  { name: "PairsWellWith_Source", type: "text" },
+  { name: "PairingTags", type: "list" },
+
+  // Region
+  { name: "CityOrRegionMostAssociated", type: "text" },
+  { name: "OriginRegion", type: "text" },
+  { name: "RegionRaw", type: "text" },
+  { name: "RegionRaw_Source", type: "text" },
+  { name: "RegionPrimary", type: "text" },
+  { name: "RegionSecondary", type: "text" },
+  { name: "RegionConfidence", type: "text" },
+  { name: "MostAssociatedPlaceType", type: "text" },
+
+  // Era
+  { name: "FirstIntroduced", type: "text" },
+  { name: "FirstIntroduced_Source", type: "text" },
+  { name: "FirstIntroducedEra", type: "text" },
+  { name: "FirstIntroducedYearStart", type: "number" },
+  { name: "FirstIntroducedYearEnd", type: "number" },
+  { name: "FirstIntroducedConfidenceV2", type: "text" },
+
+  // Book matching + provenance
+  { name: "Book_MatchedEntry", type: "text" },
+  { name: "Book_MatchScore", type: "number" },
+  { name: "Book_MatchRunnerUpScore", type: "number" },
+  { name: "Book_MatchFromAlias", type: "text" },
+  { name: "PopulatedSource", type: "text" },
+
+  // Editorial
+  { name: "EnrichmentVersion", type: "text" },
+  { name: "LastEnrichedDate", type: "text" },
+  { name: "EditorialStatus", type: "text" },
+  { name: "EditorialNotes", type: "text" },
+
+  // Synonym breakdowns
+  { name: "Synonyms_Legacy", type: "list" },
+  { name: "Synonyms_Search", type: "list" },
+  { name: "Synonyms_Display", type: "list" },
+  { name: "Synonyms_RelatedShapes", type: "list" },
+  { name: "Synonyms_Translations", type: "list" },
+  { name: "Synonyms_VariantTerms", type: "list" },
+];
+
+const COLUMN_TYPES = Object.fromEntries(COLUMNS.map((c) => [c.name, c.type]));
+
+// -----------------------------------------------------------------------------
+// Coercers (raw CSV string -> typed value)
+// -----------------------------------------------------------------------------
+function toText(raw) {
+  return String(raw ?? "").trim();
+}
+
+function toBool(raw) {
+  const v = toText(raw).toLowerCase();
+  if (!v) return null;
+  if (["1", "1.0", "yes", "y", "true"].includes(v)) return true;
+  if (["0", "0.0", "no", "n", "false"].includes(v)) return false;
+  return null;
+}
+
+function toNumber(raw) {
+  const v = toText(raw);
+  if (!v) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toList(raw) {
+  return toText(raw)
+    .split(";")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+const COERCE = {
+  text: toText,
+  bool: toBool,
+  number: toNumber,
+  list: toList,
+};
+
+/**
+ * Coerce one raw CSV row (all strings) into a typed row.
+ * Undeclared columns are kept as trimmed text.
+ */
+function typeRow(rawRow) {
+  const row = {};
+  for (const [key, raw] of Object.entries(rawRow)) {
+    const name = String(key || "").trim();
+    if (!name) continue;
+    const coerce = COERCE[COLUMN_TYPES[name]] || toText;
+    row[name] = coerce(raw);
+  }
+  return row;
+}
+
+module.exports = {
+  COLUMNS,
+  COLUMN_TYPES,
+  toText,
+  toBool,
+  toNumber,
+  toList,
+  typeRow,
+};
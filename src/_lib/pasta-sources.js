@@ -0,0 +1,232 @@
+// src/_lib/pasta-sources.js
+// =============================================================================
+// PURPOSE
+// - Citations for the detail pages (footnote markers + a references list) and
+//   the site-wide /sources/ page, from the per-field source columns.
+// - Source cells hold a mix of URLs, internal filenames and notes, several
+//   per cell ("https://...; https://..."). parseSource() turns each into a
+//   readable reference; internal names go through SOURCE_NAMES.
+//
+// SECTIONS (where a footnote marker goes on the detail page)
+//   overview   DescriptionShort_Source
+//   facts      RegionRaw_Source, FirstIntroduced_Source
+//   pairings   BestFor_Source, PairsWellWith_Source
+//   history    HistoryBlurb_Source, HistoryShort_Source, HistoryLong_Source
+//   general    SourceLink, PopulatedSource, Book_MatchedEntry
+//
+// BOOK MATCHES
+// - Book_MatchedEntry / Book_MatchScore record a fuzzy match against the
+//   Encyclopedia of Pasta. Matches scoring under BOOK_MATCH_MIN_SCORE are
+//   flagged `lowConfidence` (shown as a badge).
+//
+// OUTPUT (see getPastaSources)
+// - bySlug   { slug: { refs: [ref], bySection: { key: [n] } } }
+//            ref = { n, key, name, kind, url, detail, score, lowConfidence, sections: [label] }
+// - sources  [{ key, name, kind, count, shapes: [{ slug, name, url, sections }] }]
+// =============================================================================
+
+const { loadPastaCsv } = require("./pasta-csv");
+const { publishedRows } = require("./pasta-editorial");
+const { slugify } = require("./slug");
+
+let cache = null; // { rows, sources }
+
+// Exact entry matches score 100; partial ones sit around 90 and are often a
+// neighbouring entry ("anelli" -> "garganelli"), so anything below is flagged
+const BOOK_MATCH_MIN_SCORE = 95;
+const BOOK_NAME = "Encyclopedia of Pasta";
+
+const SECTIONS = [
+  { key: "overview", label: "Description", columns: ["DescriptionShort_Source"] },
+  { key: "facts", label: "Region and dates", columns: ["RegionRaw_Source", "FirstIntroduced_Source"] },
+  { key: "pairings", label: "Pairings", columns: ["BestFor_Source", "PairsWellWith_Source"] },
+  { key: "history", label: "History", columns: ["HistoryBlurb_Source", "HistoryShort_Source", "HistoryLong_Source"] },
+  { key: "general", label: "Whole page", columns: ["SourceLink", "PopulatedSource"] },
+];
+
+// Internal names -> what readers see. `test` is matched against the raw value.
+const SOURCE_NAMES = [
+  { test: /^pasta_populated.*\.csv$/i, name: "Pasta Shapes research dataset", kind: "dataset" },
+  { test: /^user provided notes/i, name: "Editor’s notes", kind: "notes" },
+];
+
+// Websites by hostname (anything else shows its bare hostname)
+const SITE_NAMES = {
+  "wikipedia.org": "Wikipedia",
+  "the-pasta-project.com": "The Pasta Project",
+  "eataly.com": "Eataly",
+  "lacucinaitaliana.com": "La Cucina Italiana",
+  "delallo.com": "DeLallo",
+  "pastagrannies.com": "Pasta Grannies",
+  "barilla.com": "Barilla",
+};
+
+function siteName(host) {
+  const bare = host.replace(/^www\./, "");
+  const known = Object.keys(SITE_NAMES).find((h) => bare === h || bare.endsWith(`.${h}`));
+  return known ? SITE_NAMES[known] : bare;
+}
+
+// "pasta_notes (2).csv" -> "Pasta notes"
+function humanizeFilename(value) {
+  const words = value
+    .replace(/\.[a-z0-9]+$/i, "")
+    .replace(/\s*\(\d+\)\s*$/, "")
+    .replace(/[_-]+/g, " ")
+    .trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * One raw source value -> { key, name, kind, url, detail, score }.
+ */
+function parseSource(raw) {
+  const value = String(raw || "").trim();
+  if (!value) return null;
+
+  if (/^https?:\/\//i.test(value)) {
+    let host = "";
+    try {
+      host = new URL(value).hostname;
+    } catch (e) {
+      host = value.replace(/^https?:\/\//i, "").split("/")[0];
+    }
+    return { key: value, name: siteName(host), kind: "web", url: value, detail: "", score: null };
+  }
+
+  // "Encyclopedia of Pasta (matched 'spaghetti', score 90.0)"
+  const book = value.match(/^encyclopedia of pasta\s*\(matched\s+['‘’"]?(.+?)['‘’"]?,\s*score\s+([\d.]+)\)/i);
+  if (book) return bookRef(book[1], Number(book[2]));
+
+  for (const s of SOURCE_NAMES) {
+    if (!s.test.test(value)) continue;
+    const date = value.match(/\((\d{4}-\d{2}-\d{2})\)/);
+    return { key: `${s.name}|${date ? date[1] : ""}`, name: s.name, kind: s.kind, url: "", detail: date ? date[1] : "", score: null };
+  }
+
+  if (/\.(csv|xlsx?|json|tsv)$/i.test(value)) {
+    const name = humanizeFilename(value);
+    return { key: name, name, kind: "dataset", url: "", detail: "", score: null };
+  }
+
+  return { key: value, name: value, kind: "other", url: "", detail: "", score: null };
+}
+
+function bookRef(entry, score) {
+  return {
+    key: `${BOOK_NAME}|${String(entry).toLowerCase()}`,
+    name: BOOK_NAME,
+    kind: "book",
+    url: "",
+    detail: `entry “${entry}”`,
+    score: Number.isFinite(score) ? score : null,
+  };
+}
+
+function splitCell(value) {
+  return String(value || "")
+    .split(";")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Numbered references for one shape, in section order.
+ */
+function buildCitations(row) {
+  const refs = [];
+  const byKey = new Map();
+  const bySection = {};
+
+  const cite = (section, ref) => {
+    if (!byKey.has(ref.key)) {
+      const entry = { ...ref, n: refs.length + 1, sections: [] };
+      refs.push(entry);
+      byKey.set(ref.key, entry);
+    }
+    const entry = byKey.get(ref.key);
+    if (ref.score !== null && (entry.score === null || ref.score > entry.score)) entry.score = ref.score;
+    if (!entry.sections.includes(section.label)) entry.sections.push(section.label);
+
+    bySection[section.key] = bySection[section.key] || [];
+    if (!bySection[section.key].includes(entry.n)) bySection[section.key].push(entry.n);
+  };
+
+  for (const section of SECTIONS) {
+    for (const column of section.columns) {
+      for (const raw of splitCell(row[column])) {
+        const ref = parseSource(raw);
+        if (ref) cite(section, ref);
+      }
+    }
+  }
+
+  // The matched book entry is a general reference for the whole record
+  const entry = String(row.Book_MatchedEntry || "").trim();
+  if (entry) {
+    cite(SECTIONS.find((s) => s.key === "general"), bookRef(entry, row.Book_MatchScore));
+  }
+
+  for (const ref of refs) {
+    ref.lowConfidence = ref.kind === "book" && ref.score !== null && ref.score < BOOK_MATCH_MIN_SCORE;
+  }
+  for (const key of Object.keys(bySection)) bySection[key].sort((x, y) => x - y);
+
+  return { refs, bySection };
+}
+
+function buildPastaSources(rows) {
+  const bySlug = {};
+  const sources = new Map(); // source name -> { key, name, kind, shapes: Map }
+
+  for (const r of rows) {
+    if (!r.Slug || !r.ShapeName) continue;
+
+    const citations = buildCitations(r);
+    bySlug[r.Slug] = citations;
+
+    for (const ref of citations.refs) {
+      if (!sources.has(ref.name)) {
+        sources.set(ref.name, { key: slugify(ref.name), name: ref.name, kind: ref.kind, shapes: new Map() });
+      }
+      const shapes = sources.get(ref.name).shapes;
+      if (!shapes.has(r.Slug)) {
+        shapes.set(r.Slug, { slug: r.Slug, name: r.ShapeName, url: `/pasta/${r.Slug}/`, sections: [] });
+      }
+      const shape = shapes.get(r.Slug);
+      for (const label of ref.sections) {
+        if (!shape.sections.includes(label)) shape.sections.push(label);
+      }
+    }
+  }
+
+  return {
+    bySlug,
+    sources: Array.from(sources.values())
+      .map((s) => {
+        const shapes = Array.from(s.shapes.values()).sort((a, b) => a.name.localeCompare(b.name));
+        return { key: s.key, name: s.name, kind: s.kind, count: shapes.length, shapes };
+      })
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+  };
+}
+
+/**
+ * Citations + source index for the live CSV (cached per load).
+ */
+function getPastaSources() {
+  const rows = publishedRows(loadPastaCsv().rows);
+  if (cache && cache.rows === rows) return cache.sources;
+
+  cache = { rows, sources: buildPastaSources(rows) };
+  return cache.sources;
+}
+
+module.exports = {
+  BOOK_MATCH_MIN_SCORE,
+  SECTIONS,
+  parseSource,
+  buildCitations,
+  buildPastaSources,
+  getPastaSources,
+};
@@ -0,0 +1,147 @@
+// src/_lib/pasta-timeline.js
+// =============================================================================
+// PURPOSE
+// - Data for /timeline/ (src/timeline/index.njk + /js/pasta-timeline.js):
+//   shapes plotted as year ranges, grouped into one lane per era.
+//
+// COLUMNS
+// - FirstIntroducedYearStart / End   the range (numbers). A start with no end
+//                                    is open-ended ("1901 or later") and runs
+//                                    to the end of the axis.
+// - FirstIntroducedEra               the lane (order shared with the /all/
+//                                    era facet, see pasta-facets.js)
+// - FirstIntroducedConfidenceV2      High / Medium / Low -> bar opacity
+// - EarliestAttestedMention,
+//   FirstIntroduced                  text shown for shapes with no years;
+//                                    they go in the "undated" lane instead
+//
+// OUTPUT (see getPastaTimeline)
+// - start, end   axis range, rounded out to whole centuries
+// - count        number of dated shapes
+// - eras         [{ key, label, shapes: [bar] }] (dated shapes only)
+//                bar = { slug, name, url, start, end, open, confidence, when }
+// - undated      [{ key, label, shapes: [{ slug, name, url, confidence, when }] }]
+// =============================================================================
+
+const { loadPastaCsv } = require("./pasta-csv");
+const { publishedRows } = require("./pasta-editorial");
+const { FACETS } = require("./pasta-facets");
+const { slugify } = require("./slug");
+
+let cache = null; // { rows, timeline }
+
+const ERA_ORDER = (FACETS.find((f) => f.key === "era") || {}).order || [];
+const UNKNOWN_ERA = "Unclassified";
+const AXIS_STEP = 100;
+
+function isYear(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+function confidenceOf(row) {
+  const c = String(row.FirstIntroducedConfidenceV2 || "").trim().toLowerCase();
+  return ["high", "medium", "low"].includes(c) ? c : "";
+}
+
+// Text for shapes without years: the attested mention first, then the
+// free-text "FirstIntroduced" note
+function undatedText(row) {
+  const known = (v) => {
+    const s = String(v || "").trim();
+    return s && s.toLowerCase() !== "unknown" ? s : "";
+  };
+  return known(row.EarliestAttestedMention) || known(row.FirstIntroduced);
+}
+
+function whenText(start, end) {
+  if (!isYear(end)) return `${start} or later`;
+  return start === end ? String(start) : `${start}–${end}`;
+}
+
+function eraRank(label) {
+  const i = ERA_ORDER.indexOf(label);
+  return i === -1 ? ERA_ORDER.length : i;
+}
+
+// Map(label -> shapes) -> [{ key, label, shapes }] in era order
+function toLanes(groups, sortShapes) {
+  return Array.from(groups.entries())
+    .sort(([a], [b]) => eraRank(a) - eraRank(b) || a.localeCompare(b))
+    .map(([label, shapes]) => ({ key: slugify(label), label, shapes: shapes.sort(sortShapes) }));
+}
+
+function buildPastaTimeline(rows) {
+  const dated = new Map();
+  const undated = new Map();
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (const r of rows) {
+    if (!r.Slug || !r.ShapeName) continue;
+
+    const era = String(r.FirstIntroducedEra || "").trim() || UNKNOWN_ERA;
+    const base = {
+      slug: r.Slug,
+      name: r.ShapeName,
+      url: `/pasta/${r.Slug}/`,
+      confidence: confidenceOf(r),
+    };
+
+    let start = isYear(r.FirstIntroducedYearStart) ? r.FirstIntroducedYearStart : null;
+    let end = isYear(r.FirstIntroducedYearEnd) ? r.FirstIntroducedYearEnd : null;
+    if (start === null && end !== null) start = end;
+    if (start !== null && end !== null && end < start) [start, end] = [end, start];
+
+    if (start === null) {
+      const when = undatedText(r);
+      if (!when && era === UNKNOWN_ERA) continue; // nothing to say
+      if (!undated.has(era)) undated.set(era, []);
+      undated.get(era).push({ ...base, when });
+      continue;
+    }
+
+    min = Math.min(min, start);
+    max = Math.max(max, end === null ? start : end);
+
+    if (!dated.has(era)) dated.set(era, []);
+    dated.get(era).push({ ...base, start, end, open: end === null, when: whenText(start, end) });
+  }
+
+  const byStart = (a, b) => a.start - b.start || (a.end ?? Infinity) - (b.end ?? Infinity) || a.name.localeCompare(b.name);
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  // Whole centuries either side; open-ended bars run to the axis end
+  const start = Number.isFinite(min) ? Math.floor(min / AXIS_STEP) * AXIS_STEP : 0;
+  const end = Number.isFinite(max) ? Math.ceil(max / AXIS_STEP) * AXIS_STEP : 0;
+
+  const eras = toLanes(dated, byStart);
+  for (const lane of eras) {
+    for (const bar of lane.shapes) {
+      if (bar.open) bar.end = end;
+    }
+  }
+
+  return {
+    start,
+    end,
+    count: eras.reduce((n, lane) => n + lane.shapes.length, 0),
+    eras,
+    undated: toLanes(undated, byName),
+  };
+}
+
+/**
+ * Timeline for the live CSV (cached per load).
+ */
+function getPastaTimeline() {
+  const rows = publishedRows(loadPastaCsv().rows);
+  if (cache && cache.rows === rows) return cache.timeline;
+
+  cache = { rows, timeline: buildPastaTimeline(rows) };
+  return cache.timeline;
+}
+
+module.exports = {
+  buildPastaTimeline,
+  getPastaTimeline,
+};
@@ -0,0 +1,198 @@
+// src/_lib/pasta-validate.js
+// =============================================================================
+// PURPOSE
+// - Build-time validation of pasta.csv, run by src/_data/pasta.js.
+// - Produces a readable report grouped per row, then per column.
+//
+// CHECKS
+// - CSV parse errors (PapaParse)
+// - Slug: missing, duplicated, or not what the `slug` filter would produce
+// - Is* / Has* (bool columns): anything other than 0 / 1 (blank = warning)
+// - Columns with declared `values` (Type, SizeClass, Category): unknown values
+// - SeeAlsoSlugs: entries that are not an existing Slug
+// - OftenConfusedWith: names that don't resolve to exactly one shape (name,
+//   slug or alias), checked with the same resolveName() the relationship
+//   graph uses (an alias shared by several shapes counts too). Reported as
+//   warnings: the graph just skips them, and fixing the names is an
+//   editorial call, so they never stop a deploy
+// - FirstIntroducedYearStart > FirstIntroducedYearEnd
+//
+// MODE (env PASTA_CSV_VALIDATION)
+// - "fail" : throw when there are errors, so the build (and deploy) stops
+// - "warn" : print the report and carry on
+// - "off"  : skip validation entirely
+// - Default: "fail" on Netlify production deploys (CONTEXT=production),
+//   "warn" everywhere else.
+// =============================================================================
+
+const { COLUMNS } = require("./pasta-schema");
+const { slugify } = require("./slug");
+const { buildPastaIndex, resolveName } = require("./pasta-index");
+
+const MODES = ["fail", "warn", "off"];
+
+// Accept 0 / 1 plus the "0.0" / "1.0" float exports some spreadsheet tools write.
+const BOOL_RE = /^[01](\.0+)?$/;
+
+function validationMode() {
+  const explicit = String(process.env.PASTA_CSV_VALIDATION || "").trim().toLowerCase();
+  if (MODES.includes(explicit)) return explicit;
+  return process.env.CONTEXT === "production" ? "fail" : "warn";
+}
+
+/**
+ * Validate loaded CSV data (the result of loadPastaCsv()).
+ *
+ * Returns { issues, errorCount, warningCount } where each issue is
+ * { level: "error" | "warning", row, slug, column, message }.
+ * `row` is the 1-based data row (header excluded), or null for file-level issues.
+ */
+function validatePasta({ rows, rawRows, errors }) {
+  const issues = [];
+
+  const add = (level, index, column, message) => {
+    const r = index == null ? null : rows[index];
+    issues.push({
+      level,
+      row: index == null ? null : index + 1,
+      slug: (r && (r.Slug || r.ShapeName)) || "",
+      column,
+      message,
+    });
+  };
+
+  // 1) Parse errors
+  for (const e of errors || []) {
+    add("error", typeof e.row === "number" ? e.row : null, "(csv)", `${e.code || e.type}: ${e.message}`);
+  }
+
+  const boolColumns = COLUMNS.filter((c) => c.type === "bool").map((c) => c.name);
+  const enumColumns = COLUMNS.filter((c) => Array.isArray(c.values));
+
+  const slugs = new Set(rows.map((r) => r.Slug).filter(Boolean));
+  // The index reports its own alias collisions; don't print them twice
+  const index = buildPastaIndex(rows, { report: false });
+  const firstRowBySlug = new Map();
+
+  rows.forEach((r, i) => {
+    const raw = rawRows[i] || {};
+
+    // 2) Slugs
+    if (!r.Slug) {
+      add("error", i, "Slug", "missing");
+    } else {
+      if (firstRowBySlug.has(r.Slug)) {
+        add("error", i, "Slug", `duplicate of row ${firstRowBySlug.get(r.Slug) + 1}`);
+      } else {
+        firstRowBySlug.set(r.Slug, i);
+      }
+
+      const canonical = slugify(r.Slug);
+      if (canonical !== r.Slug) {
+        add("error", i, "Slug", `"${r.Slug}" does not match the slug filter (expected "${canonical}")`);
+      }
+    }
+
+    // 3) Boolean columns (validated against the RAW string, not the coerced value)
+    for (const col of boolColumns) {
+      if (!(col in raw)) continue;
+      const v = String(raw[col] ?? "").trim();
+      if (!v) add("warning", i, col, "blank (treated as unknown)");
+      else if (!BOOL_RE.test(v)) add("error", i, col, `"${v}" is not 0 or 1`);
+    }
+
+    // 4) Enumerated columns
+    for (const col of enumColumns) {
+      const v = r[col.name];
+      if (v && !col.values.includes(v)) {
+        add("error", i, col.name, `unknown value "${v}" (allowed: ${col.values.join(", ")})`);
+      }
+    }
+
+    // 5) References to other shapes
+    for (const s of r.SeeAlsoSlugs) {
+      if (!slugs.has(s)) add("error", i, "SeeAlsoSlugs", `"${s}" is not an existing slug`);
+    }
+
+    for (const name of r.OftenConfusedWith) {
+      const res = resolveName(index, name);
+      if (res.reason === "ambiguous") {
+        add("warning", i, "OftenConfusedWith", `"${name}" matches several shapes (${res.candidates.join(", ")})`);
+      } else if (!res.slug) {
+        add("warning", i, "OftenConfusedWith", `"${name}" does not match any shape`);
+      }
+    }
+
+    // 6) Year range
+    const start = r.FirstIntroducedYearStart;
+    const end = r.FirstIntroducedYearEnd;
+    if (start != null && end != null && start > end) {
+      add("error", i, "FirstIntroducedYearStart", `${start} is after FirstIntroducedYearEnd ${end}`);
+    }
+  });
+
+  const errorCount = issues.filter((x) => x.level === "error").length;
+  return { issues, errorCount, warningCount: issues.length - errorCount };
+}
+
+/**
+ * Human-readable report, grouped per row, then per column.
+ */
+function formatReport(report, { csvLabel = "pasta.csv", mode = validationMode() } = {}) {
+  const { issues, errorCount, warningCount } = report;
+  const lines = [
+    `${csvLabel} validation: ${errorCount} error(s), ${warningCount} warning(s) (mode: ${mode})`,
+  ];
+
+  const byRow = new Map();
+  for (const issue of issues) {
+    const key = issue.row == null ? "file" : issue.row;
+    if (!byRow.has(key)) byRow.set(key, []);
+    byRow.get(key).push(issue);
+  }
+
+  for (const [key, rowIssues] of byRow) {
+    const head = key === "file" ? "File" : `Row ${key}${rowIssues[0].slug ? ` (${rowIssues[0].slug})` : ""}`;
+    lines.push(`  ${head}`);
+
+    rowIssues
+      .slice()
+      .sort((a, b) => a.column.localeCompare(b.column))
+      .forEach((x) => {
+        const level = x.level === "error" ? "ERROR  " : "WARNING";
+        lines.push(`    ${level} ${x.column}: ${x.message}`);
+      });
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Validate + print + (in fail mode) throw.
+ * Returns the report so callers can reuse it.
+ */
+function runPastaValidation(loaded, { csvLabel } = {}) {
+  const mode = validationMode();
+  if (mode === "off") return null;
+
+  const report = validatePasta(loaded);
+  if (!report.issues.length) return report;
+
+  const text = formatReport(report, { csvLabel, mode });
+
+  if (report.errorCount && mode === "fail") {
+    throw new Error(
+      `${text}\n\nBuild stopped: fix the rows above, or set PASTA_CSV_VALIDATION=warn to publish anyway.`
+    );
+  }
+
+  console.warn(text);
+  return report;
+}
+
+module.exports = {
+  validationMode,
+  validatePasta,
+  formatReport,
+  runPastaValidation,
+};
@@ -0,0 +1,13 @@
+// src/_lib/slug.js
+// The site's canonical slug rules. Used by the `slug` filter in .eleventy.js
+// and by build-time checks, so both agree on what a valid slug looks like.
+function slugify(value) {
+  return String(value || "")
+    .toLowerCase()
+    .trim()
+    .replace(/['"]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+module.exports = { slugify };
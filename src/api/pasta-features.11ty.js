@@ -1,4 +1,13 @@
 // src/api/pasta-features.11ty.js
+//
+// Feature index: one entry per shape with every identify feature
+// (src/_lib/identify-questions.js). The /identify/ page embeds its own copy
+// (data.pastaIdentify); this is the same data for other consumers.
+//
+// Bool features keep the "1" / "0" / "" tokens this API has always published.
+
+const { identifyFeatures } = require("../_lib/identify-questions");
+
 module.exports = class {
   data() {
     return {
@@ -8,7 +17,7 @@ module.exports = class {
   }
 
   render(data) {
-    // data.pasta is your CSV array (from src/_data/pasta.csv)
+    // data.pasta is the typed CSV array (src/_data/pasta.js -> src/_lib/pasta-csv.js)
     const rows = Array.isArray(data.pasta) ? data.pasta : [];
 
     // Only keep what we need for the identify flow
@@ -25,23 +34,16 @@ module.exports = class {
           // Optional metadata for nicer display
           category: r.Category || "",
           description: r.Description || "",
-          primaryGeometry: r.PrimaryGeometry || "",
 
-          // Feature columns (from your updated CSV)
-          type: r.Type || "",
-          isHollow: r.IsHollow || "",
-          isRidged: r.IsRidged || "",
-          isTwisted: r.IsTwisted || "",
-          isCurved: r.IsCurved || "",
-          sizeClass: r.SizeClass || "",
-          isStuffed: r.IsStuffed || "",
+          // Feature columns (type, isHollow, ..., crossSection, hasRuffles, madeMethod)
+          ...identifyFeatures(r),
         };
       })
       .filter(Boolean);
 
     return JSON.stringify(
       {
-        version: 1,
+        version: 2,
         generatedAt: new Date().toISOString(),
         count: entries.length,
         entries,
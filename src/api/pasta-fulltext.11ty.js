@@ -0,0 +1,21 @@
+// src/api/pasta-fulltext.11ty.js
+//
+// Inverted index for full-text search on /search/ (/js/pasta-fulltext.js).
+// Fields, boosts and the JSON shape are documented in src/_lib/pasta-fulltext.js.
+
+const { buildFulltextIndex } = require("../_lib/pasta-fulltext");
+
+module.exports = class {
+  data() {
+    return {
+      permalink: "/api/pasta-fulltext.json",
+      eleventyExcludeFromCollections: true,
+    };
+  }
+
+  render(data) {
+    // data.pasta is the typed CSV array (src/_data/pasta.js -> src/_lib/pasta-csv.js)
+    const rows = Array.isArray(data.pasta) ? data.pasta : [];
+    return JSON.stringify(buildFulltextIndex(rows), null, 0);
+  }
+};
@@ -0,0 +1,17 @@
+// src/api/pasta-graph.11ty.js
+module.exports = class {
+  data() {
+    return {
+      permalink: "/api/pasta-graph.json",
+      eleventyExcludeFromCollections: true,
+    };
+  }
+
+  render(data) {
+    // data.pastaGraph is provided by src/_data/pastaGraph.js.
+    // The per-slug `bySlug` view is template-only; clients rebuild it from edges.
+    const { version, generatedAt, nodes, edges, unresolved } = data.pastaGraph;
+
+    return JSON.stringify({ version, generatedAt, nodes, edges, unresolved }, null, 0);
+  }
+};
@@ -0,0 +1,35 @@
+// src/api/pasta-table.11ty.js
+//
+// Every public schema column for every shape (editorial / internal columns
+// only on preview builds), for the /all/ column picker and the
+// CSV / JSON export (/js/all-pastas.js). Loaded only when a user adds a column
+// or exports, so it is not part of the PWA precache list.
+// Shape: see buildTableData() in src/_lib/pasta-columns.js.
+
+const { buildTableData } = require("../_lib/pasta-columns");
+
+module.exports = class {
+  data() {
+    return {
+      permalink: "/api/pasta-table.json",
+      eleventyExcludeFromCollections: true,
+    };
+  }
+
+  render(data) {
+    // data.pasta is the typed CSV array (src/_data/pasta.js -> src/_lib/pasta-csv.js)
+    const rows = Array.isArray(data.pasta) ? data.pasta : [];
+    const { columns, rows: bySlug } = buildTableData(rows);
+
+    return JSON.stringify(
+      {
+        version: 1,
+        generatedAt: new Date().toISOString(),
+        columns,
+        rows: bySlug,
+      },
+      null,
+      0
+    );
+  }
+};
@@ -0,0 +1,81 @@
+// src/changes/atom.11ty.js
+//
+// Atom feed of the dataset changelog (/changes/atom.xml): one entry per
+// snapshot-to-snapshot update in data.pastaChanges (src/_lib/pasta-changes.js),
+// newest first, each linking to its section of /changes/.
+//
+// Links are absolute when the site URL is known (Netlify sets URL; SITE_URL
+// overrides it). Entry ids are tag: URIs, so they stay stable across hosts.
+
+const SITE_URL = String(process.env.SITE_URL || process.env.URL || "").trim().replace(/\/+$/, "");
+const TAG = "tag:pasta-shapes,2026:changes";
+
+// Names listed in an entry summary before "and N more"
+const MAX_NAMES = 8;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function names(list) {
+  const shown = list.slice(0, MAX_NAMES).map((s) => s.name);
+  const more = list.length - shown.length;
+  return more > 0 ? `${shown.join(", ")} and ${more} more` : shown.join(", ");
+}
+
+function summary(change) {
+  const lines = [];
+  if (change.added.length) lines.push(`Added ${change.added.length}: ${names(change.added)}.`);
+  if (change.removed.length) lines.push(`Removed ${change.removed.length}: ${names(change.removed)}.`);
+  if (change.renamed.length) {
+    lines.push(`Renamed ${change.renamed.length}: ${change.renamed.map((r) => `${r.from} → ${r.to}`).join(", ")}.`);
+  }
+  if (change.changed.length) lines.push(`Updated ${change.changed.length}: ${names(change.changed)}.`);
+  if (change.columnsAdded.length) lines.push(`${change.columnsAdded.length} new fields.`);
+  return lines.join(" ") || "No changes.";
+}
+
+module.exports = class {
+  data() {
+    return {
+      permalink: "/changes/atom.xml",
+      eleventyExcludeFromCollections: true,
+    };
+  }
+
+  render(data) {
+    const { changes } = data.pastaChanges;
+    const pageUrl = `${SITE_URL}/changes/`;
+    const updated = changes.length ? `${changes[0].date}T00:00:00Z` : new Date().toISOString();
+
+    const entries = changes.map((change) =>
+      [
+        "  <entry>",
+        `    <id>${TAG}:${escapeXml(change.id)}</id>`,
+        `    <title>${escapeXml(`Dataset update ${change.date}: ${change.counts.added} added, ${change.counts.removed} removed, ${change.counts.renamed} renamed, ${change.counts.changed} updated`)}</title>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXml(`${pageUrl}#${change.id}`)}"/>`,
+        `    <updated>${change.date}T00:00:00Z</updated>`,
+        `    <summary>${escapeXml(summary(change))}</summary>`,
+        "  </entry>",
+      ].join("\n")
+    );
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${TAG}</id>`,
+      "  <title>Pasta Shapes: what’s changed</title>",
+      `  <link rel="alternate" type="text/html" href="${escapeXml(pageUrl)}"/>`,
+      `  <link rel="self" type="application/atom+xml" href="${escapeXml(`${SITE_URL}/changes/atom.xml`)}"/>`,
+      `  <updated>${updated}</updated>`,
+      "  <author><name>Pasta Shapes</name></author>",
+      ...entries,
+      "</feed>",
+      "",
+    ].join("\n");
+  }
+};
@@ -0,0 +1,11 @@
+// src/editorial/editorial.11tydata.js
+// The /editorial/ dashboard is only built in preview builds (everything but
+// Netlify production, or PASTA_EDITORIAL=on|off - src/_lib/pasta-editorial.js).
+// `permalink: false` needs a real boolean, hence a data file, not front matter.
+const { isPreviewBuild } = require("../_lib/pasta-editorial");
+
+module.exports = {
+  permalink: isPreviewBuild() ? "/editorial/" : false,
+  // Kept out of collections, so the offline precache never lists it
+  eleventyExcludeFromCollections: true,
+};
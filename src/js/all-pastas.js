@@ -5,6 +5,17 @@
    - Default sort by Name (A-Z) on load
    - Text search (Name + Category)
    - Category dropdown filter (auto-populated)
+   - Facet panel (#allPastaFacets, rendered from src/_lib/pasta-facets.js):
+       - checkboxes per facet; "any" facets OR their options,
+         "all" facets (the Is* flags) AND them; facets AND together
+       - each option shows how many rows it would leave, given
+         everything else that is selected
+       - state lives in the URL: /all/?type=tube&region=campania&has=ridged
+   - Column picker (#allPastaColumns): extra columns from the full
+     CSV schema, filled in from /api/pasta-table.json (fetched on
+     first use); the choice is saved in localStorage
+   - Export: the rows currently shown, in their current order, as
+     CSV or JSON (name, slug, category + the extra columns)
    - Click-to-sort on Name + Category headers
    - Thumbnail fallback (keeps <img>, swaps src on error)
 
@@ -23,6 +34,14 @@
   const categorySelect = document.getElementById("allPastaCategory");
   const clearBtn = document.getElementById("allPastaClear");
   const visibleCountEl = document.getElementById("allPastaVisibleCount");
+  const facetPanel = document.getElementById("allPastaFacets");
+  const facetCountEl = document.getElementById("allPastaFacetCount");
+  const columnPanel = document.getElementById("allPastaColumns");
+  const columnCountEl = document.getElementById("allPastaColumnCount");
+  const columnResetBtn = document.getElementById("allPastaColumnsReset");
+  const exportCsvBtn = document.getElementById("allPastaExportCsv");
+  const exportJsonBtn = document.getElementById("allPastaExportJson");
+  const exportStatusEl = document.getElementById("allPastaExportStatus");
 
   const sortState = {
     key: "name", // default
@@ -39,6 +58,113 @@
     return `${name} ${category}`.trim();
   }
 
+  /* ------------------------------------------------------------
+     Facets
+     - facets: [{ key, mode, el, inputs }]
+     - rowFacets: row -> { key: Set(values) } (from data-facet-<key>)
+  ------------------------------------------------------------- */
+
+  const facets = Array.from(document.querySelectorAll("#allPastaFacets [data-facet]")).map((el) => ({
+    key: el.getAttribute("data-facet"),
+    mode: el.getAttribute("data-facet-mode") === "all" ? "all" : "any",
+    el,
+    inputs: Array.from(el.querySelectorAll('input[type="checkbox"]')),
+  }));
+
+  const rowFacets = new Map(
+    rows.map((row) => {
+      const values = {};
+      facets.forEach((f) => {
+        const raw = row.getAttribute(`data-facet-${f.key}`) || "";
+        values[f.key] = new Set(raw.split(" ").filter(Boolean));
+      });
+      return [row, values];
+    })
+  );
+
+  function selectedValues(facet) {
+    return facet.inputs.filter((i) => i.checked).map((i) => i.value);
+  }
+
+  function facetPasses(row, facet, selected) {
+    if (!selected.length) return true;
+    const have = rowFacets.get(row)[facet.key];
+    return facet.mode === "all"
+      ? selected.every((v) => have.has(v))
+      : selected.some((v) => have.has(v));
+  }
+
+  // Text + category + every facet except `skip` (used for "any" facet counts)
+  function rowPasses(row, state, skip) {
+    if (!state.basePass.get(row)) return false;
+    return facets.every((f) => f === skip || facetPasses(row, f, state.selected.get(f)));
+  }
+
+  function updateFacetCounts(state) {
+    let active = 0;
+
+    facets.forEach((f) => {
+      const selected = state.selected.get(f);
+      active += selected.length;
+
+      // "any": counts ignore this facet's own selection (options are alternatives)
+      // "all": counts include it (each option narrows further)
+      const pool = rows.filter((row) => rowPasses(row, state, f.mode === "any" ? f : null));
+
+      f.inputs.forEach((input) => {
+        const count = pool.filter((row) => rowFacets.get(row)[f.key].has(input.value)).length;
+        const label = input.closest(".facet__option");
+        const countEl = label ? label.querySelector("[data-facet-count]") : null;
+
+        if (countEl) countEl.textContent = String(count);
+        if (label) label.classList.toggle("facet__option--empty", count === 0 && !input.checked);
+        input.disabled = count === 0 && !input.checked;
+      });
+    });
+
+    if (facetCountEl) facetCountEl.textContent = active ? `(${active} selected)` : "";
+  }
+
+  /* ------------------------------------------------------------
+     URL state: ?q=&category=&<facet>=a,b
+  ------------------------------------------------------------- */
+
+  function writeUrlState() {
+    const params = new URLSearchParams();
+    const q = searchInput ? searchInput.value.trim() : "";
+    const category = categorySelect ? categorySelect.value : "";
+
+    if (q) params.set("q", q);
+    if (category) params.set("category", category);
+    facets.forEach((f) => {
+      const selected = selectedValues(f);
+      if (selected.length) params.set(f.key, selected.join(","));
+    });
+
+    // Keep the commas readable (?type=tube,short)
+    const search = params.toString().replace(/%2C/g, ",");
+    const url = `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`;
+    window.history.replaceState(null, "", url);
+  }
+
+  function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    let anyFacet = false;
+
+    if (searchInput && params.has("q")) searchInput.value = params.get("q");
+    if (categorySelect && params.has("category")) categorySelect.value = normalize(params.get("category"));
+
+    facets.forEach((f) => {
+      const wanted = new Set((params.get(f.key) || "").split(",").map(normalize).filter(Boolean));
+      f.inputs.forEach((input) => {
+        input.checked = wanted.has(input.value);
+        if (input.checked) anyFacet = true;
+      });
+    });
+
+    if (facetPanel && anyFacet) facetPanel.open = true;
+  }
+
   function updateVisibleCount() {
     const visible = rows.reduce((count, row) => count + (row.hidden ? 0 : 1), 0);
     if (visibleCountEl) visibleCountEl.textContent = String(visible);
@@ -48,6 +174,11 @@
     const q = normalize(searchInput ? searchInput.value : "");
     const selectedCategory = normalize(categorySelect ? categorySelect.value : "");
 
+    const state = {
+      basePass: new Map(),
+      selected: new Map(facets.map((f) => [f, selectedValues(f)])),
+    };
+
     rows.forEach((row) => {
       const rowCategory = normalize(row.dataset.category);
       const categoryPass = !selectedCategory || rowCategory === selectedCategory;
@@ -55,15 +186,22 @@
       const text = rowSearchText(row);
       const searchPass = !q || text.includes(q);
 
-      row.hidden = !(categoryPass && searchPass);
+      state.basePass.set(row, categoryPass && searchPass);
+    });
+
+    rows.forEach((row) => {
+      row.hidden = !rowPasses(row, state, null);
     });
 
     updateVisibleCount();
+    updateFacetCounts(state);
+    writeUrlState();
   }
 
   function clearFilters() {
     if (searchInput) searchInput.value = "";
     if (categorySelect) categorySelect.value = "";
+    facets.forEach((f) => f.inputs.forEach((input) => { input.checked = false; }));
     applyFilters();
   }
 
@@ -134,33 +272,238 @@
     });
   }
 
+  /* ------------------------------------------------------------
+     Extra columns
+     - Inputs carry the schema column name + its type
+     - /api/pasta-table.json: { columns: [{ key }], rows: { slug: [values] } }
+  ------------------------------------------------------------- */
+
+  const COLUMNS_KEY = "pasta-all-columns";
+  const TABLE_URL = "/api/pasta-table.json";
+  const EXPORT_BASE = ["ShapeName", "Slug", "Category"];
+
+  const columnInputs = columnPanel
+    ? Array.from(columnPanel.querySelectorAll('input[type="checkbox"]'))
+    : [];
+
+  let tableLoading = null;
+  let renderToken = 0;
+
+  function loadTableData() {
+    if (!tableLoading) {
+      tableLoading = fetch(TABLE_URL, { cache: "force-cache" })
+        .then((res) => {
+          if (!res.ok) throw new Error(`Fetch failed: ${res.status}`);
+          return res.json();
+        })
+        .then((json) => {
+          json.indexOf = new Map(json.columns.map((c, i) => [c.key, i]));
+          return json;
+        })
+        .catch(() => {
+          tableLoading = null; // allow a retry
+          return null;
+        });
+    }
+    return tableLoading;
+  }
+
+  function readSavedColumns() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(COLUMNS_KEY) || "[]");
+      return new Set(Array.isArray(saved) ? saved : []);
+    } catch (e) {
+      return new Set();
+    }
+  }
+
+  function saveColumns() {
+    try {
+      localStorage.setItem(COLUMNS_KEY, JSON.stringify(chosenColumns().map((c) => c.key)));
+    } catch (e) {
+      // Private mode / storage full - the choice just won't stick
+    }
+  }
+
+  function chosenColumns() {
+    return columnInputs
+      .filter((i) => i.checked)
+      .map((i) => ({
+        key: i.value,
+        label: i.getAttribute("data-column-label") || i.value,
+        type: i.getAttribute("data-column-type") || "text",
+      }));
+  }
+
+  function cellText(value, type) {
+    if (value === null || value === undefined) return "";
+    if (type === "bool") return value ? "Yes" : "No";
+    if (Array.isArray(value)) return value.join(", ");
+    return String(value);
+  }
+
+  async function renderExtraColumns() {
+    const token = ++renderToken;
+    const chosen = chosenColumns();
+
+    if (columnCountEl) columnCountEl.textContent = chosen.length ? `(${chosen.length} added)` : "";
+
+    const data = chosen.length ? await loadTableData() : null;
+    if (token !== renderToken) return; // a newer change is already rendering
+
+    table.querySelectorAll(".data-table__extra").forEach((el) => el.remove());
+    table.classList.toggle("has-extra-columns", !!(data && chosen.length));
+
+    if (!chosen.length) return;
+    if (!data) {
+      if (columnCountEl) columnCountEl.textContent = "(couldn't load the extra columns)";
+      return;
+    }
+
+    const headRow = table.querySelector("thead tr");
+    chosen.forEach((c) => {
+      const th = document.createElement("th");
+      th.scope = "col";
+      th.className = "data-table__extra data-table__left";
+      th.textContent = c.label;
+      headRow.appendChild(th);
+    });
+
+    rows.forEach((row) => {
+      const values = data.rows[row.dataset.slug] || [];
+      chosen.forEach((c) => {
+        const td = document.createElement("td");
+        td.className = "data-table__extra cell-extra";
+        td.textContent = cellText(values[data.indexOf.get(c.key)], c.type);
+        row.appendChild(td);
+      });
+    });
+  }
+
+  /* ------------------------------------------------------------
+     Export (shown rows, current order)
+  ------------------------------------------------------------- */
+
+  function setExportStatus(text) {
+    if (exportStatusEl) exportStatusEl.textContent = text || "";
+  }
+
+  function exportRecords(data) {
+    const keys = Array.from(new Set([...EXPORT_BASE, ...chosenColumns().map((c) => c.key)]));
+    const shown = Array.from(tbody.querySelectorAll("tr.data-row")).filter((row) => !row.hidden);
+
+    const records = shown.map((row) => {
+      const values = data.rows[row.dataset.slug] || [];
+      const record = {};
+      keys.forEach((key) => {
+        const v = values[data.indexOf.get(key)];
+        record[key] = v === undefined ? null : v;
+      });
+      return record;
+    });
+
+    return { keys, records };
+  }
+
+  // RFC 4180 cell: lists as "a; b" (like the source CSV), bools as 1 / 0
+  function csvCell(value) {
+    let text;
+    if (value === null || value === undefined) text = "";
+    else if (value === true) text = "1";
+    else if (value === false) text = "0";
+    else if (Array.isArray(value)) text = value.join("; ");
+    else text = String(value);
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCsv(keys, records) {
+    const lines = [keys.map(csvCell).join(",")];
+    records.forEach((r) => lines.push(keys.map((k) => csvCell(r[k])).join(",")));
+    // BOM so spreadsheet apps read the file as UTF-8 (accents in names)
+    return "\ufeff" + lines.join("\r\n") + "\r\n";
+  }
+
+  function download(text, type, ext) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `pasta-shapes-${new Date().toISOString().slice(0, 10)}.${ext}`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function exportRows(format) {
+    setExportStatus("Preparing...");
+    const data = await loadTableData();
+    if (!data) {
+      setExportStatus("Export unavailable right now.");
+      return;
+    }
+
+    const { keys, records } = exportRecords(data);
+
+    if (format === "csv") download(toCsv(keys, records), "text/csv;charset=utf-8", "csv");
+    else download(JSON.stringify(records, null, 2), "application/json", "json");
+
+    setExportStatus(`${records.length} row${records.length === 1 ? "" : "s"} exported.`);
+  }
+
   /* ------------------------------------------------------------
      Thumbnail fallback handling
      - If ImageKit thumb is missing, show a simple inline SVG placeholder
      - We do NOT remove the <img> because that makes debugging harder
+     - The thumb is marked data-missing="<file>" (title "No image: <file>",
+       dashed outline) so gaps stay visible on the page;
+       `node tools/pasta-images-audit.js` lists every gap at once
   ------------------------------------------------------------- */
 
   function wireThumbFallbacks() {
     const imgs = table.querySelectorAll(".thumb img");
     if (!imgs.length) return;
 
-    // Tiny grey placeholder SVG (data URI), sized to 56x56
+    // Tiny grey "no image" placeholder SVG (data URI), sized to 56x56
     const fallbackSvg =
       "data:image/svg+xml;charset=utf-8," +
       encodeURIComponent(
         '<svg xmlns="http://www.w3.org/2000/svg" width="56" height="56">' +
           '<rect width="56" height="56" fill="rgba(0,0,0,0.06)"/>' +
+          '<text x="28" y="31" font-family="sans-serif" font-size="9" fill="rgba(0,0,0,0.5)" text-anchor="middle">no image</text>' +
         "</svg>"
       );
 
+    // "bucatini.png" from an ImageKit URL (path without the ?tr= transform)
+    function fileName(url) {
+      try {
+        return decodeURIComponent(new URL(url, location.href).pathname.split("/").pop() || "");
+      } catch (e) {
+        return url;
+      }
+    }
+
     imgs.forEach((img) => {
       img.addEventListener("error", () => {
+        const file = fileName(img.currentSrc || img.src);
+
         const wrap = img.closest(".thumb");
-        if (wrap) wrap.classList.add("thumb--placeholder");
+        if (wrap) {
+          wrap.classList.add("thumb--placeholder");
+          wrap.dataset.missing = file;
+          wrap.title = `No image: ${file}`;
+        }
 
         // Prevent infinite loop if fallback also errors
         img.onerror = null;
 
+        // Thumbs are <picture>s: drop the AVIF/WebP sources and srcset too,
+        // or the browser keeps choosing them over src
+        const picture = img.closest("picture");
+        if (picture) picture.querySelectorAll("source").forEach((s) => s.remove());
+        img.removeAttribute("srcset");
+
         img.src = fallbackSvg;
       });
     });
@@ -173,6 +516,23 @@
   if (searchInput) searchInput.addEventListener("input", applyFilters);
   if (categorySelect) categorySelect.addEventListener("change", applyFilters);
   if (clearBtn) clearBtn.addEventListener("click", clearFilters);
+  facets.forEach((f) => f.el.addEventListener("change", applyFilters));
+
+  if (columnPanel) {
+    columnPanel.addEventListener("change", () => {
+      saveColumns();
+      renderExtraColumns();
+    });
+  }
+  if (columnResetBtn) {
+    columnResetBtn.addEventListener("click", () => {
+      columnInputs.forEach((i) => { i.checked = false; });
+      saveColumns();
+      renderExtraColumns();
+    });
+  }
+  if (exportCsvBtn) exportCsvBtn.addEventListener("click", () => exportRows("csv"));
+  if (exportJsonBtn) exportJsonBtn.addEventListener("click", () => exportRows("json"));
 
   const sortableHeaders = table.querySelectorAll("th.data-table__sortable");
   sortableHeaders.forEach((th) => {
@@ -194,8 +554,14 @@
   });
 
   populateCategoryDropdown();
+  readUrlState();
   wireThumbFallbacks();
 
+  // Restore the saved column choice
+  const savedColumns = readSavedColumns();
+  columnInputs.forEach((i) => { i.checked = savedColumns.has(i.value); });
+  renderExtraColumns();
+
   // Default sort: Name A-Z
   // We also align aria-sort by locating the Name header.
   const nameHeader = table.querySelector('th.data-table__sortable[data-sort-key="name"]');
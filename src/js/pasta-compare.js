@@ -0,0 +1,224 @@
+/* ------------------------------------------------------------
+   /js/pasta-compare.js
+
+   Powers /compare/ (side-by-side shapes):
+   - Up to four selects (#compare-a .. #compare-d), pre-filled from
+     ?a=&b=&c=&d= and kept in the URL (replaceState)
+   - One column per chosen shape, one row per attribute (ROWS)
+   - Rows marked `diff` (geometry + flags) get .compare-row--differs
+     when the chosen shapes don't all agree
+   - Data comes from the #compare-data JSON embedded by the page
+
+   Safe to load globally:
+   - No-ops unless it finds #compare-app
+------------------------------------------------------------- */
+
+(function () {
+  const app = document.getElementById("compare-app");
+  if (!app) return;
+
+  const dataEl = document.getElementById("compare-data");
+  const table = document.getElementById("compare-table");
+  const wrap = document.getElementById("compare-wrap");
+  const statusEl = document.getElementById("compare-status");
+  const selects = Array.from(app.querySelectorAll("select[data-compare-slot]"));
+
+  let shapes = [];
+  try {
+    shapes = JSON.parse(dataEl ? dataEl.textContent : "[]");
+  } catch (e) {
+    shapes = [];
+  }
+
+  const bySlug = new Map(shapes.map((s) => [s.slug, s]));
+
+  const MIN_SHAPES = 2;
+
+  // ------------------------------------------------------------
+  // Rows
+  // - value(shape) -> display text ("" = unknown)
+  // - diff: highlight when the shapes disagree
+  // - section: starts a new group (header row)
+  // ------------------------------------------------------------
+  function yesNo(v) {
+    if (v === true) return "Yes";
+    if (v === false) return "No";
+    return "";
+  }
+
+  function list(v) {
+    return Array.isArray(v) ? v.join("; ") : String(v || "");
+  }
+
+  function era(s) {
+    const years =
+      s.yearStart && s.yearEnd && s.yearStart !== s.yearEnd
+        ? `${s.yearStart}–${s.yearEnd}`
+        : String(s.yearStart || s.yearEnd || "");
+    if (s.era && years) return `${s.era} (${years})`;
+    return s.era || years;
+  }
+
+  const ROWS = [
+    { section: "Geometry" },
+    { label: "Category", value: (s) => s.category, diff: true },
+    { label: "Type", value: (s) => s.type, diff: true },
+    { label: "Primary geometry", value: (s) => s.geometry, diff: true },
+    { label: "Size", value: (s) => s.size, diff: true },
+    { label: "Cross-section", value: (s) => s.crossSection, diff: true },
+    { label: "Cut", value: (s) => s.cutStyle, diff: true },
+    { label: "How it's made", value: (s) => s.madeMethod, diff: true },
+    { label: "Hollow", value: (s) => yesNo(s.hollow), diff: true },
+    { label: "Ridged", value: (s) => yesNo(s.ridged), diff: true },
+    { label: "Twisted", value: (s) => yesNo(s.twisted), diff: true },
+    { label: "Curved", value: (s) => yesNo(s.curved), diff: true },
+    { label: "Concave", value: (s) => yesNo(s.concave), diff: true },
+    { label: "Ruffled edges", value: (s) => yesNo(s.ruffles), diff: true },
+    { label: "Stuffed", value: (s) => yesNo(s.stuffed), diff: true },
+    { label: "Pastina", value: (s) => yesNo(s.pastina), diff: true },
+
+    { section: "Telling them apart" },
+    { label: "Key tells", value: (s) => list(s.keyTells) },
+    { label: "Why it gets confused", value: (s) => s.confusedWhy },
+
+    { section: "Pairings" },
+    { label: "Classic pairings", value: (s) => list(s.pairings) },
+    { label: "Why it works", value: (s) => s.pairingsWhy },
+
+    { section: "Origins" },
+    { label: "Region", value: (s) => s.region, diff: true },
+    { label: "Most associated with", value: (s) => s.place },
+    { label: "First introduced", value: era, diff: true },
+  ];
+
+  // ------------------------------------------------------------
+  // Rendering
+  // ------------------------------------------------------------
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  function chosenShapes() {
+    const seen = new Set();
+    return selects
+      .map((s) => bySlug.get(s.value))
+      .filter((shape) => shape && !seen.has(shape.slug) && seen.add(shape.slug));
+  }
+
+  function renderHead(chosen) {
+    const thead = el("thead");
+    const tr = el("tr");
+    tr.appendChild(el("td", "compare-table__corner"));
+
+    chosen.forEach((s) => {
+      const th = el("th", "compare-table__shape");
+      th.scope = "col";
+
+      const a = el("a", "compare-table__link");
+      a.href = s.url;
+
+      const img = el("img", "compare-table__hero");
+      img.src = s.hero;
+      img.alt = s.name;
+      img.width = 180;
+      img.height = 180;
+      img.loading = "lazy";
+      img.decoding = "async";
+
+      a.appendChild(img);
+      a.appendChild(el("span", "compare-table__name", s.name));
+      th.appendChild(a);
+      tr.appendChild(th);
+    });
+
+    thead.appendChild(tr);
+    return thead;
+  }
+
+  function renderBody(chosen) {
+    const tbody = el("tbody");
+
+    ROWS.forEach((row) => {
+      if (row.section) {
+        const tr = el("tr", "compare-row--section");
+        const th = el("th", "", row.section);
+        th.scope = "colgroup";
+        th.colSpan = chosen.length + 1;
+        tr.appendChild(th);
+        tbody.appendChild(tr);
+        return;
+      }
+
+      const values = chosen.map((s) => String(row.value(s) || "").trim());
+      if (values.every((v) => !v)) return; // nothing to compare
+
+      const differs = row.diff && new Set(values.map((v) => v.toLowerCase())).size > 1;
+
+      const tr = el("tr", differs ? "compare-row--differs" : "");
+      const th = el("th", "compare-table__label", row.label);
+      th.scope = "row";
+      tr.appendChild(th);
+
+      values.forEach((v) => tr.appendChild(el("td", v ? "" : "muted", v || "-")));
+      tbody.appendChild(tr);
+    });
+
+    return tbody;
+  }
+
+  function setStatus(msg) {
+    if (statusEl) statusEl.textContent = msg;
+  }
+
+  function render() {
+    const chosen = chosenShapes();
+
+    table.querySelectorAll("thead, tbody").forEach((n) => n.remove());
+
+    if (chosen.length < MIN_SHAPES) {
+      wrap.hidden = true;
+      setStatus("Choose at least two shapes.");
+      return;
+    }
+
+    table.appendChild(renderHead(chosen));
+    table.appendChild(renderBody(chosen));
+    wrap.hidden = false;
+
+    const differing = table.querySelectorAll(".compare-row--differs").length;
+    setStatus(
+      differing
+        ? `${chosen.map((s) => s.name).join(" vs ")} - ${differing} highlighted difference${differing === 1 ? "" : "s"}.`
+        : `${chosen.map((s) => s.name).join(" vs ")} - no differences in geometry, region or era.`
+    );
+  }
+
+  // Keep ?a=&b=... in the URL so a comparison can be shared / bookmarked
+  function syncUrl() {
+    const url = new URL(window.location.href);
+    selects.forEach((s) => {
+      const key = s.getAttribute("data-compare-slot");
+      if (s.value) url.searchParams.set(key, s.value);
+      else url.searchParams.delete(key);
+    });
+    window.history.replaceState(null, "", url);
+  }
+
+  // ------------------------------------------------------------
+  // Wire up
+  // ------------------------------------------------------------
+  const params = new URLSearchParams(window.location.search);
+  selects.forEach((s) => {
+    const slug = params.get(s.getAttribute("data-compare-slot"));
+    if (slug && bySlug.has(slug)) s.value = slug;
+    s.addEventListener("change", () => {
+      syncUrl();
+      render();
+    });
+  });
+
+  render();
+})();
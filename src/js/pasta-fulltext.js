@@ -0,0 +1,248 @@
+/* ------------------------------------------------------------
+   /js/pasta-fulltext.js
+
+   Full-text results on /search/:
+   - Loads /api/pasta-fulltext.json (inverted index built by
+     src/_lib/pasta-fulltext.js) on first use
+   - Query words go through the same tokenizer + stemmer as the
+     build (/js/pasta-text.js, must load first)
+   - The last word also matches as a prefix while typing
+     ("guanc" finds "guanciale")
+   - Ranking: shapes matching more of the query words first, then
+     by score = sum of field boost x (1 + log tf) x idf
+   - Each result shows a snippet from its best-scoring text field
+     with the hits wrapped in <mark>
+   - ?q= is read on load and kept up to date (replaceState)
+
+   Safe to load globally:
+   - No-ops unless it finds #fulltext-results
+------------------------------------------------------------- */
+
+(function () {
+  const resultsEl = document.getElementById("fulltext-results");
+  const Text = window.PastaText;
+  if (!resultsEl || !Text) return;
+
+  const input = document.getElementById("pasta-q");
+  const statusEl = document.getElementById("fulltext-status");
+  if (!input) return;
+
+  const INDEX_URL = "/api/pasta-fulltext.json";
+  const RESULT_LIMIT = 30;
+  const PREFIX_MIN = 3;
+  const PREFIX_MAX_TERMS = 20;
+  const SNIPPET_BEFORE = 60;
+  const SNIPPET_LENGTH = 200;
+
+  let index = null;
+  let loading = null;
+
+  function setStatus(text) {
+    if (statusEl) statusEl.textContent = text || "";
+  }
+
+  function loadIndex() {
+    if (!loading) {
+      loading = fetch(INDEX_URL, { cache: "force-cache" })
+        .then((res) => {
+          if (!res.ok) throw new Error(`Fetch failed: ${res.status}`);
+          return res.json();
+        })
+        .then((json) => {
+          index = json;
+          index.termKeys = Object.keys(json.terms || {});
+          return index;
+        })
+        .catch(() => {
+          loading = null; // allow a retry on the next keystroke
+          return null;
+        });
+    }
+    return loading;
+  }
+
+  // ------------------------------------------------------------
+  // Postings: doc * 128 + field * 16 + tf (see the builder)
+  // ------------------------------------------------------------
+  function unpack(p) {
+    return { doc: Math.floor(p / 128), field: Math.floor(p / 16) % 8, tf: p % 16 };
+  }
+
+  // Query word -> index stems it matches (exact, plus prefixes for the last word)
+  function expand(stem, isLast) {
+    if (index.terms[stem]) return [stem];
+    if (!isLast || stem.length < PREFIX_MIN) return [];
+    return index.termKeys.filter((t) => t.startsWith(stem)).slice(0, PREFIX_MAX_TERMS);
+  }
+
+  function search(query) {
+    const words = Array.from(new Set(Text.terms(query)));
+    if (!words.length) return { words: 0, results: [] };
+
+    const total = index.docs.length;
+    const byDoc = new Map(); // doc -> { doc, score, hits:Set<word>, fieldScores[], stems:Set }
+
+    words.forEach((word, wi) => {
+      for (const stem of expand(word, wi === words.length - 1)) {
+        const postings = index.terms[stem];
+        const docsWithTerm = new Set(postings.map((p) => unpack(p).doc)).size;
+        const idf = Math.log(1 + total / docsWithTerm);
+
+        for (const p of postings) {
+          const { doc, field, tf } = unpack(p);
+          const boost = (index.fields[field] || {}).boost || 1;
+          const s = boost * (1 + Math.log(tf)) * idf;
+
+          if (!byDoc.has(doc)) {
+            byDoc.set(doc, { doc, score: 0, hits: new Set(), fieldScores: [], stems: new Set() });
+          }
+          const r = byDoc.get(doc);
+          r.score += s;
+          r.hits.add(word);
+          r.stems.add(stem);
+          r.fieldScores[field] = (r.fieldScores[field] || 0) + s;
+        }
+      }
+    });
+
+    const results = Array.from(byDoc.values()).sort(
+      (a, b) => b.hits.size - a.hits.size || b.score - a.score
+    );
+
+    return { words: words.length, results };
+  }
+
+  // ------------------------------------------------------------
+  // Snippets
+  // ------------------------------------------------------------
+
+  // Best field to quote: highest score, skipping the name (already the title)
+  function snippetField(r) {
+    let best = -1;
+    r.fieldScores.forEach((s, field) => {
+      if (field === 0 || !s) return;
+      if (best < 0 || s > r.fieldScores[best]) best = field;
+    });
+    return best;
+  }
+
+  function appendSnippet(parent, text, stems) {
+    const hits = Text.tokenize(text).filter((t) => stems.has(Text.stem(t.word)));
+    if (!hits.length) {
+      parent.textContent = text.slice(0, SNIPPET_LENGTH);
+      return;
+    }
+
+    // Window around the first hit, snapped to word boundaries
+    let start = Math.max(0, hits[0].start - SNIPPET_BEFORE);
+    if (start > 0) start = text.indexOf(" ", start) + 1 || start;
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+      const space = text.lastIndexOf(" ", end);
+      if (space > hits[0].end) end = space;
+    }
+
+    if (start > 0) parent.appendChild(document.createTextNode("…"));
+
+    let pos = start;
+    for (const h of hits) {
+      if (h.start < pos || h.end > end) continue;
+      parent.appendChild(document.createTextNode(text.slice(pos, h.start)));
+      const mark = document.createElement("mark");
+      mark.textContent = text.slice(h.start, h.end);
+      parent.appendChild(mark);
+      pos = h.end;
+    }
+    parent.appendChild(document.createTextNode(text.slice(pos, end)));
+
+    if (end < text.length) parent.appendChild(document.createTextNode("…"));
+  }
+
+  function renderResult(r) {
+    const doc = index.docs[r.doc];
+    const li = document.createElement("li");
+    li.className = "fulltext-result";
+
+    const a = document.createElement("a");
+    a.className = "fulltext-result__name";
+    a.href = doc.url;
+    a.textContent = doc.name;
+    li.appendChild(a);
+
+    const field = snippetField(r);
+    if (field > 0) {
+      const label = document.createElement("span");
+      label.className = "fulltext-result__field";
+      label.textContent = index.fields[field].label;
+      li.appendChild(label);
+
+      const p = document.createElement("p");
+      p.className = "fulltext-result__snippet";
+      appendSnippet(p, doc.text[field], r.stems);
+      li.appendChild(p);
+    }
+
+    return li;
+  }
+
+  // ------------------------------------------------------------
+  // UI
+  // ------------------------------------------------------------
+  function writeUrl(q) {
+    const url = new URL(window.location.href);
+    if (q) url.searchParams.set("q", q);
+    else url.searchParams.delete("q");
+    window.history.replaceState(null, "", url);
+  }
+
+  async function update() {
+    const q = input.value.trim();
+    writeUrl(q);
+
+    if (!q) {
+      resultsEl.innerHTML = "";
+      setStatus("Start typing to search.");
+      return;
+    }
+
+    if (!index) {
+      setStatus("Loading...");
+      if (!(await loadIndex())) {
+        setStatus("Full-text search unavailable right now.");
+        return;
+      }
+      // The user may have kept typing while the index loaded
+      if (input.value.trim() !== q) return;
+    }
+
+    const { words, results } = search(q);
+    resultsEl.innerHTML = "";
+
+    if (!words) {
+      setStatus("Try a more specific word.");
+      return;
+    }
+
+    const frag = document.createDocumentFragment();
+    results.slice(0, RESULT_LIMIT).forEach((r) => frag.appendChild(renderResult(r)));
+    resultsEl.appendChild(frag);
+
+    const n = results.length;
+    const all = results.filter((r) => r.hits.size === words).length;
+    const shapes = (count) => (count === 1 ? "1 shape mentions" : `${count} shapes mention`);
+
+    if (!n) setStatus("Nothing mentions that.");
+    else if (words === 1) setStatus(`${shapes(n)} that.`);
+    else if (!all) setStatus(`No shape mentions all of those words - showing ${n} partial matches.`);
+    else setStatus(`${shapes(all)} all of those words${n > all ? `, ${n - all} some of them` : ""}.`);
+  }
+
+  input.addEventListener("input", update);
+
+  // /search/?q=... - fill the box and let every search on the page run
+  const initialQ = new URLSearchParams(window.location.search).get("q");
+  if (initialQ && !input.value) {
+    input.value = initialQ;
+    input.dispatchEvent(new Event("input"));
+  }
+})();
@@ -1,501 +0,0 @@
-// src/js/pasta-identify.js
-// ============================================================================
-// Identify-by-features workflow (select-based UI).
-//
-// This script ONLY runs if it finds #pasta-identify.
-// It expects these elements to exist (your current identify template provides them):
-// - #id-type, #id-hollow, #id-ridged, #id-twisted, #id-curved, #id-size
-// - #id-reset, #id-status, #id-results
-//
-// IMPORTANT CONSTRAINTS
-// - Do NOT inject <style> tags.
-// - Do NOT set inline styles.
-// - All styling must live in /src/css/styles.css.
-//
-// UX GOALS
-// - Question cards show in a fixed order visually.
-// - The “next best question” logic determines which card to reveal next,
-//   but the visual order remains stable.
-// ============================================================================
-(function () {
-  const root = document.getElementById("pasta-identify");
-  if (!root) return;
-
-  const elType = document.getElementById("id-type");
-  const elHollow = document.getElementById("id-hollow");
-  const elRidged = document.getElementById("id-ridged");
-  const elTwisted = document.getElementById("id-twisted");
-  const elCurved = document.getElementById("id-curved");
-  const elSize = document.getElementById("id-size");
-  const elReset = document.getElementById("id-reset");
-  const elStatus = document.getElementById("id-status");
-  const elResults = document.getElementById("id-results");
-
-  if (
-    !elType ||
-    !elHollow ||
-    !elRidged ||
-    !elTwisted ||
-    !elCurved ||
-    !elSize ||
-    !elReset ||
-    !elStatus ||
-    !elResults
-  ) return;
-
-  let entries = [];
-  let loaded = false;
-
-  const MAX_SHOW = 25;
-  const SIZE_ONLY_IF_MORE_THAN = 10;
-
-  // Fixed sequential order in the UI (always displayed in this order)
-  const STEPS = [
-    {
-      key: "type",
-      el: elType,
-      title: "Type",
-      desc: "Start with the overall form - long strands, tubes, sheets, stuffed, soup shapes, etc.",
-    },
-    {
-      key: "isHollow",
-      el: elHollow,
-      title: "Hollow",
-      desc: "Does it have a hole or tube running through it (like penne or rigatoni)?",
-      kind: "structural",
-    },
-    {
-      key: "isRidged",
-      el: elRidged,
-      title: "Ridged",
-      desc: "Are there ridges or grooves on the surface (often used to grab sauce)?",
-      kind: "structural",
-    },
-    {
-      key: "isTwisted",
-      el: elTwisted,
-      title: "Twisted",
-      desc: "Is the shape spiraled or twisted (like fusilli)?",
-      kind: "structural",
-    },
-    {
-      key: "isCurved",
-      el: elCurved,
-      title: "Curved",
-      desc: "Is the shape notably curved (like elbows or shells)?",
-      kind: "structural",
-    },
-    {
-      key: "sizeClass",
-      el: elSize,
-      title: "Size",
-      desc: "A rough bucket - small / medium / large. Helpful as a last step, but subjective.",
-      kind: "size",
-    },
-  ];
-
-  function normVal(v) {
-    return String(v || "").trim().toLowerCase();
-  }
-
-  function clearResults() {
-    elResults.innerHTML = "";
-  }
-
-  function setStatus(text) {
-    elStatus.textContent = text;
-  }
-
-  // --------------------------------------------------------------------------
-  // Rendering results without inline styles
-  // --------------------------------------------------------------------------
-  function render(results) {
-    clearResults();
-
-    const show = results.slice(0, MAX_SHOW);
-
-    for (const r of show) {
-      const li = document.createElement("li");
-      li.className = "id-result";
-
-      const a = document.createElement("a");
-      a.href = r.url;
-      a.textContent = r.name;
-      li.appendChild(a);
-
-      if (r.description) {
-        const div = document.createElement("div");
-        div.className = "id-result-desc";
-        div.textContent = r.description;
-        li.appendChild(div);
-      }
-
-      elResults.appendChild(li);
-    }
-
-    if (results.length > MAX_SHOW) {
-      const li = document.createElement("li");
-      li.className = "id-result id-result-note";
-      li.textContent = `Showing ${MAX_SHOW} of ${results.length}. Add more answers to narrow it down.`;
-      elResults.appendChild(li);
-    }
-  }
-
-  function matchesFilter(entry, key, selected) {
-    if (!selected) return true; // Any
-    const val = normVal(entry[key]);
-    if (!val) return selected === "unknown"; // blank treated as unknown
-    return val === selected;
-  }
-
-  function getFilterState() {
-    return {
-      type: normVal(elType.value),
-      isHollow: normVal(elHollow.value),
-      isRidged: normVal(elRidged.value),
-      isTwisted: normVal(elTwisted.value),
-      isCurved: normVal(elCurved.value),
-      sizeClass: normVal(elSize.value),
-    };
-  }
-
-  function applyAllFilters(baseList, filters) {
-    return baseList.filter((e) => {
-      if (filters.type && normVal(e.type) !== filters.type) return false;
-      if (!matchesFilter(e, "isHollow", filters.isHollow)) return false;
-      if (!matchesFilter(e, "isRidged", filters.isRidged)) return false;
-      if (!matchesFilter(e, "isTwisted", filters.isTwisted)) return false;
-      if (!matchesFilter(e, "isCurved", filters.isCurved)) return false;
-
-      // sizeClass: allow blank values when selecting unknown
-      if (filters.sizeClass) {
-        const v = normVal(e.sizeClass);
-        if (v !== filters.sizeClass) {
-          if (!(filters.sizeClass === "unknown" && !v)) return false;
-        }
-      }
-
-      return true;
-    });
-  }
-
-  // --------------------------------------------------------------------------
-  // "Next best question" scoring (entropy-ish)
-  // --------------------------------------------------------------------------
-  function entropyFromCounts(counts) {
-    const total = counts.reduce((a, b) => a + b, 0);
-    if (!total) return 0;
-    let h = 0;
-    for (const c of counts) {
-      if (!c) continue;
-      const p = c / total;
-      h -= p * Math.log2(p);
-    }
-    return h;
-  }
-
-  function getValueBucket(entry, key) {
-    const v = normVal(entry[key]);
-    return v || "unknown";
-  }
-
-  function scoreQuestion(candidateEntries, key) {
-    const buckets = new Map();
-    for (const e of candidateEntries) {
-      const b = getValueBucket(e, key);
-      buckets.set(b, (buckets.get(b) || 0) + 1);
-    }
-
-    const counts = Array.from(buckets.values());
-    const total = counts.reduce((a, b) => a + b, 0);
-    if (!total) return -1;
-
-    // If everything is unknown, don't ask this.
-    if (buckets.size === 1 && buckets.has("unknown")) return -1;
-
-    // If essentially constant, low value.
-    const maxCount = Math.max(...counts);
-    const dominance = maxCount / total;
-    if (dominance >= 0.92) return 0;
-
-    const h = entropyFromCounts(counts);
-
-    // Penalize unknown-heavy splits
-    const unknownFrac = (buckets.get("unknown") || 0) / total;
-    const penalty = unknownFrac * 0.35 + Math.max(0, buckets.size - 3) * 0.1;
-
-    return h - penalty;
-  }
-
-  function getAnsweredKeys() {
-    const answered = new Set();
-    if (normVal(elType.value)) answered.add("type");
-    for (const s of STEPS) {
-      if (s.key === "type") continue;
-      if (normVal(s.el.value)) answered.add(s.key);
-    }
-    return answered;
-  }
-
-  /**
-   * Behavior:
-   * - Prefer remaining structural questions first (if useful).
-   * - Only offer Size when results still big and no good structural left.
-   */
-  function pickNextQuestion(candidateEntries, answeredKeys) {
-    if (candidateEntries.length <= 1) return null;
-
-    const remaining = STEPS.filter((s) => s.key !== "type" && !answeredKeys.has(s.key));
-
-    const structural = [];
-    let sizeCandidate = null;
-
-    for (const s of remaining) {
-      const sc = scoreQuestion(candidateEntries, s.key);
-      if (sc <= 0) continue;
-
-      if (s.kind === "structural") structural.push({ step: s, score: sc });
-      else if (s.kind === "size") sizeCandidate = { step: s, score: sc };
-    }
-
-    structural.sort((a, b) => b.score - a.score);
-
-    if (structural.length) return structural[0].step;
-
-    if (
-      sizeCandidate &&
-      candidateEntries.length > SIZE_ONLY_IF_MORE_THAN &&
-      !answeredKeys.has("sizeClass")
-    ) {
-      return sizeCandidate.step;
-    }
-
-    return null;
-  }
-
-  // --------------------------------------------------------------------------
-  // Step card UI (no injected CSS)
-  // --------------------------------------------------------------------------
-  function getLabelFor(selectEl) {
-    return (
-      root.querySelector(`label[for="${selectEl.id}"]`) ||
-      document.querySelector(`label[for="${selectEl.id}"]`)
-    );
-  }
-
-  function buildStepCard(step) {
-    const selectEl = step.el;
-    const labelEl = getLabelFor(selectEl);
-
-    const card = document.createElement("section");
-    card.className = "id-step";
-    card.dataset.stepKey = step.key;
-
-    const top = document.createElement("div");
-    top.className = "id-step__top";
-
-    const img = document.createElement("div");
-    img.className = "id-step__img";
-    img.setAttribute("aria-hidden", "true");
-    img.textContent = "Image soon";
-
-    const text = document.createElement("div");
-    const h = document.createElement("p");
-    h.className = "id-step__title";
-    h.textContent = step.title;
-
-    const d = document.createElement("p");
-    d.className = "id-step__desc";
-    d.textContent = step.desc;
-
-    text.appendChild(h);
-    text.appendChild(d);
-
-    top.appendChild(img);
-    top.appendChild(text);
-
-    const control = document.createElement("div");
-    control.className = "id-step__control";
-
-    // Keep existing label semantics if your HTML wraps select inside label.
-    if (labelEl && labelEl.contains(selectEl)) {
-      control.appendChild(labelEl);
-    } else {
-      if (labelEl) control.appendChild(labelEl);
-      control.appendChild(selectEl);
-    }
-
-    card.appendChild(top);
-    card.appendChild(control);
-
-    return card;
-  }
-
-  let stepsContainer = null;
-  let stepCardByKey = new Map();
-
-  function buildStepsUI() {
-    // If we already built cards, reuse them.
-    const existing = root.querySelector(".id-steps");
-    if (existing) {
-      stepsContainer = existing;
-      stepCardByKey = new Map();
-      for (const el of stepsContainer.querySelectorAll(".id-step")) {
-        stepCardByKey.set(el.dataset.stepKey, el);
-      }
-      return;
-    }
-
-    stepsContainer = document.createElement("div");
-    stepsContainer.className = "id-steps";
-
-    for (const step of STEPS) {
-      const card = buildStepCard(step);
-      stepsContainer.appendChild(card);
-      stepCardByKey.set(step.key, card);
-    }
-
-    // Place steps above the status block if possible.
-    if (elStatus && elStatus.parentNode) {
-      elStatus.parentNode.insertBefore(stepsContainer, elStatus);
-    } else {
-      root.appendChild(stepsContainer);
-    }
-  }
-
-  function setStepVisible(key, visible) {
-    const card = stepCardByKey.get(key);
-    if (!card) return;
-    card.hidden = !visible;
-  }
-
-  function hideAllStepsExceptType() {
-    for (const s of STEPS) setStepVisible(s.key, s.key === "type");
-  }
-
-  function showAnsweredAndNextStep(nextStepKey) {
-    const answered = getAnsweredKeys();
-
-    for (const s of STEPS) {
-      if (s.key === "type") {
-        setStepVisible("type", true);
-        continue;
-      }
-      setStepVisible(s.key, answered.has(s.key));
-    }
-
-    if (nextStepKey && !answered.has(nextStepKey)) {
-      setStepVisible(nextStepKey, true);
-    }
-  }
-
-  function clearFieldsAfter(changedKey) {
-    const order = STEPS.map((s) => s.key);
-    const idx = order.indexOf(changedKey);
-    if (idx === -1) return;
-
-    for (let i = idx + 1; i < order.length; i++) {
-      const key = order[i];
-      const step = STEPS.find((s) => s.key === key);
-      if (step) step.el.value = "";
-    }
-  }
-
-  function removeBlankTypeOptions() {
-    const typeCounts = new Map();
-    for (const e of entries) {
-      const t = normVal(e.type);
-      if (!t) continue;
-      typeCounts.set(t, (typeCounts.get(t) || 0) + 1);
-    }
-
-    const opts = Array.from(elType.options || []);
-    for (const opt of opts) {
-      const v = normVal(opt.value);
-      if (!v) continue;
-      if (!typeCounts.get(v)) opt.remove();
-    }
-  }
-
-  function updateUI() {
-    if (!loaded) return;
-
-    const filters = getFilterState();
-
-    if (!filters.type) {
-      hideAllStepsExceptType();
-      setStatus(`Choose a Type to start narrowing down from ${entries.length} shapes.`);
-      clearResults();
-      return;
-    }
-
-    const results = applyAllFilters(entries, filters);
-
-    if (!results.length) {
-      setStatus("No matches with those answers. Try changing your last selection.");
-      clearResults();
-      showAnsweredAndNextStep(null);
-      return;
-    }
-
-    const answeredKeys = getAnsweredKeys();
-    const nextStep = pickNextQuestion(results, answeredKeys);
-
-    setStatus(`${results.length} match${results.length === 1 ? "" : "es"}.`);
-    render(results);
-
-    showAnsweredAndNextStep(nextStep ? nextStep.key : null);
-  }
-
-  function reset() {
-    elType.value = "";
-    for (const s of STEPS) {
-      if (s.key === "type") continue;
-      s.el.value = "";
-    }
-    hideAllStepsExceptType();
-    setStatus("Choose a Type to start.");
-    clearResults();
-  }
-
-  async function init() {
-    setStatus("Loading feature index...");
-
-    buildStepsUI();
-    hideAllStepsExceptType();
-
-    try {
-      const res = await fetch("/api/pasta-features.json", { cache: "force-cache" });
-      if (!res.ok) throw new Error(`Fetch failed: ${res.status}`);
-      const json = await res.json();
-
-      entries = Array.isArray(json.entries) ? json.entries : [];
-      loaded = true;
-
-      removeBlankTypeOptions();
-
-      setStatus(`Choose a Type to start narrowing down from ${entries.length} shapes.`);
-    } catch (e) {
-      setStatus("Identify-by-shape is unavailable right now.");
-      loaded = false;
-    }
-  }
-
-  // Events
-  elType.addEventListener("change", () => {
-    clearFieldsAfter("type");
-    updateUI();
-  });
-
-  for (const s of STEPS) {
-    if (s.key === "type") continue;
-    s.el.addEventListener("change", () => {
-      clearFieldsAfter(s.key);
-      updateUI();
-    });
-  }
-
-  elReset.addEventListener("click", reset);
-
-  init();
-})();
@@ -0,0 +1,147 @@
+/* ------------------------------------------------------------
+   /js/pasta-pairings.js
+
+   Powers /pairings/ ("What pasta goes with this sauce?"):
+   - Pick a sauce or sauce family (select, or ?sauce=<slug>)
+   - Shapes come pre-ranked from the build (src/_lib/pasta-pairings.js);
+     each card shows the CSV values that matched the sauce
+   - Shapes marked AvoidWith for the sauce are listed separately,
+     with their AvoidWithWhy reason
+   - Data comes from the #pairings-data JSON embedded by the page
+
+   Safe to load globally:
+   - No-ops unless it finds #pairings-app
+------------------------------------------------------------- */
+
+(function () {
+  const app = document.getElementById("pairings-app");
+  if (!app) return;
+
+  const dataEl = document.getElementById("pairings-data");
+  const sauceSelect = document.getElementById("pairings-sauce");
+  const resultsEl = document.getElementById("pairings-results");
+  const statusEl = document.getElementById("pairings-status");
+  const avoidWrap = document.getElementById("pairings-avoid");
+  const avoidList = document.getElementById("pairings-avoid-list");
+  const moreWrap = document.getElementById("pairings-more");
+  const moreLink = document.getElementById("pairings-more-link");
+
+  let pages = [];
+  try {
+    pages = JSON.parse(dataEl ? dataEl.textContent : "[]");
+  } catch (e) {
+    pages = [];
+  }
+
+  const bySlug = new Map(pages.map((p) => [p.slug, p]));
+
+  const RESULT_LIMIT = 24; // the sauce's own page lists them all
+
+  // Label on each card: a curated classic pairing, or how strong the match is
+  function strength(shape) {
+    if (shape.classic) return { key: "classic", label: "Classic" };
+    if (shape.score >= 3) return { key: "good", label: "Good match" };
+    return { key: "works", label: "Works" };
+  }
+
+  // ------------------------------------------------------------
+  // Rendering
+  // ------------------------------------------------------------
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  function renderCard(shape, tag, why) {
+    const li = el("li");
+
+    const a = el("a", "pasta-link-card");
+    a.href = shape.url;
+
+    const thumb = el("span", "thumb");
+    thumb.setAttribute("aria-hidden", "true");
+    const img = el("img");
+    img.src = shape.thumb;
+    img.alt = "";
+    img.loading = "lazy";
+    img.decoding = "async";
+    img.width = 56;
+    img.height = 56;
+    thumb.appendChild(img);
+
+    const text = el("span", "pasta-link-card__text");
+    if (tag) text.appendChild(el("span", `pairings-strength pairings-strength--${tag.key}`, tag.label));
+    text.appendChild(el("span", "pasta-link-card__name", shape.name));
+    if (why) text.appendChild(el("span", "pasta-link-card__why", why));
+
+    a.appendChild(thumb);
+    a.appendChild(text);
+    li.appendChild(a);
+    return li;
+  }
+
+  function setStatus(msg) {
+    if (statusEl) statusEl.textContent = msg;
+  }
+
+  function render() {
+    resultsEl.innerHTML = "";
+    if (avoidList) avoidList.innerHTML = "";
+    if (avoidWrap) avoidWrap.hidden = true;
+    if (moreWrap) moreWrap.hidden = true;
+
+    const page = bySlug.get(sauceSelect.value);
+    if (!page) {
+      setStatus("Choose a sauce to see the best shapes for it.");
+      return;
+    }
+
+    const shown = page.shapes.slice(0, RESULT_LIMIT);
+    shown.forEach((s) => {
+      resultsEl.appendChild(renderCard(s, strength(s), (s.via || []).join(" · ")));
+    });
+
+    if (page.avoid.length && avoidList) {
+      page.avoid.forEach((s) => avoidList.appendChild(renderCard(s, null, s.why)));
+      avoidWrap.hidden = false;
+    }
+
+    if (moreWrap && moreLink) {
+      moreLink.href = page.url;
+      moreLink.textContent =
+        page.shapes.length > shown.length
+          ? `See all ${page.shapes.length} shapes for ${page.name.toLowerCase()}`
+          : `Open the page for ${page.name.toLowerCase()}`;
+      moreWrap.hidden = false;
+    }
+
+    if (!page.shapes.length) {
+      setStatus(`No shapes are paired with ${page.name.toLowerCase()} yet.`);
+    } else {
+      setStatus(`Best shapes for ${page.name.toLowerCase()}, strongest match first.`);
+    }
+  }
+
+  // Keep ?sauce= in the URL so a result can be shared / bookmarked
+  function syncUrl() {
+    const url = new URL(window.location.href);
+    if (sauceSelect.value) url.searchParams.set("sauce", sauceSelect.value);
+    else url.searchParams.delete("sauce");
+    window.history.replaceState(null, "", url);
+  }
+
+  // ------------------------------------------------------------
+  // Wire up
+  // ------------------------------------------------------------
+  const initial = new URLSearchParams(window.location.search).get("sauce");
+  if (initial && bySlug.has(initial)) sauceSelect.value = initial;
+
+  sauceSelect.addEventListener("change", () => {
+    syncUrl();
+    render();
+  });
+
+  render();
+})();
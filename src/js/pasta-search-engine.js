@@ -0,0 +1,410 @@
+// src/js/pasta-search-engine.js
+// ============================================================================
+// Shared pasta search engine (no DOM wiring - pages decide how to render).
+//
+// USED BY
+// - Homepage table search  (/src/js/scripts.js -> initHomeSearch)
+// - Typeahead search page  (/src/js/pasta-search.js)
+//
+// WHAT IT MATCHES
+// - Shape names, Synonyms, SearchAliases and slugs from /api/pasta-index.json
+//   (the same alias index the build publishes - see src/_lib/pasta-index.js).
+//
+// RANKING (best alias per shape wins)
+//   exact name / alias            100 (name +10)
+//   alias starts with query        80 (name +5)
+//   a word starts with query       60
+//   alias contains query           40
+//   multi-word query: share of query words (stopwords ignored) that start a
+//   word of any of the shape's aliases   up to 50 (needs at least half)
+// - Nothing matched: Levenshtein "did you mean" over every alias and alias word.
+//
+// EXPOSES
+// - window.PastaSearchEngine = { normalize, stripStopwords, levenshtein,
+//                                create(index), highlight(text, query) }
+// ============================================================================
+
+(function () {
+  // Common Italian connector words that appear in many pasta dish names.
+  const STOPWORDS = new Set([
+    "alla",
+    "alle",
+    "allo",
+    "al",
+    "ai",
+    "con",
+    "di",
+    "del",
+    "della",
+    "delle",
+    "dei",
+    "da",
+    "in",
+    "e",
+    "ed",
+    "a",
+    "ad",
+    "la",
+    "le",
+    "lo",
+    "il",
+    "i",
+    "gli",
+    "un",
+    "una",
+    "uno",
+  ]);
+
+  // --------------------------------------------------------------------------
+  // Normalization (keep consistent with src/_lib/pasta-index.js)
+  // --------------------------------------------------------------------------
+  function normalize(s) {
+    return (s || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/&/g, "and")
+      .replace(/[’']/g, " ") // "d'angelo" -> "d angelo"
+      .replace(/["]/g, " ")
+      .replace(/[^a-z0-9\s-]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  function words(key) {
+    return key.split(/[\s-]+/).filter(Boolean);
+  }
+
+  // Matching form: hyphens count as spaces ("spaghetti-alla-chitarra")
+  function spaced(key) {
+    return key.replace(/-/g, " ").replace(/\s+/g, " ").trim();
+  }
+
+  function stripStopwords(normalizedString) {
+    return words(normalizedString || "")
+      .filter((t) => !STOPWORDS.has(t))
+      .join(" ")
+      .trim();
+  }
+
+  function toArray(v) {
+    // Accept arrays, semicolon-delimited strings, or empty.
+    if (!v) return [];
+    if (Array.isArray(v)) return v;
+    if (typeof v === "string") {
+      return v
+        .split(";")
+        .map((s) => (s || "").trim())
+        .filter(Boolean);
+    }
+    return [];
+  }
+
+  // Bounded Levenshtein distance (small + fast; good enough for "did you mean")
+  function levenshtein(a, b, maxDist) {
+    if (a === b) return 0;
+    if (!a || !b) return Math.max(a.length, b.length);
+
+    const al = a.length;
+    const bl = b.length;
+
+    if (Math.abs(al - bl) > maxDist) return maxDist + 1;
+
+    let prev = new Array(bl + 1);
+    let cur = new Array(bl + 1);
+
+    for (let j = 0; j <= bl; j++) prev[j] = j;
+
+    for (let i = 1; i <= al; i++) {
+      cur[0] = i;
+
+      let rowMin = cur[0];
+      const ai = a.charCodeAt(i - 1);
+
+      for (let j = 1; j <= bl; j++) {
+        const cost = ai === b.charCodeAt(j - 1) ? 0 : 1;
+        const val = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        cur[j] = val;
+        if (val < rowMin) rowMin = val;
+      }
+
+      if (rowMin > maxDist) return maxDist + 1;
+
+      const tmp = prev;
+      prev = cur;
+      cur = tmp;
+    }
+
+    return prev[bl];
+  }
+
+  // --------------------------------------------------------------------------
+  // Engine
+  // --------------------------------------------------------------------------
+  function bestDescription(it) {
+    return it?.descriptionShort || it?.DescriptionShort || it?.description || it?.Description || "";
+  }
+
+  /**
+   * Build an engine from the pasta index JSON.
+   * Also accepts a bare { entries } list (e.g. read from table rows when the
+   * index can't be fetched); the alias maps are then derived here.
+   */
+  function create(idx) {
+    // (Older builds called the list `items`.)
+    const items = Array.isArray(idx?.entries) ? idx.entries : Array.isArray(idx?.items) ? idx.items : [];
+
+    const entries = [];
+    const bySlug = new Map();
+
+    // Every alias a shape can be found by: { key, text, words, display, entry, isName, isSlug }
+    const aliases = [];
+    const aliasesBySlug = new Map();
+
+    // Fallback maps when the index doesn't provide them
+    const claims = new Map(); // key -> Set(slug)
+    const canonical = new Map(); // key -> slug (a shape's own name / slug)
+
+    for (const it of items) {
+      const slug = it?.slug || it?.Slug;
+      if (!slug) continue;
+
+      const entry = {
+        slug,
+        name: it.name || it.ShapeName || slug,
+        url: it.url || `/pasta/${slug}/`,
+        description: bestDescription(it),
+      };
+      entries.push(entry);
+      bySlug.set(slug, entry);
+
+      const candidates = [
+        { display: entry.name, isName: true },
+        ...toArray(it.synonyms).map((display) => ({ display })),
+        ...toArray(it.searchAliases).map((display) => ({ display })),
+        ...toArray(it.aliases).map((display) => ({ display })),
+        { display: slug.replace(/-/g, " "), isSlug: true },
+      ];
+
+      const seen = new Set();
+      for (const c of candidates) {
+        // Trailing punctuation in the CSV ("sfresatine.") shouldn't show up in labels
+        const display = String(c.display || "").trim().replace(/[.;,]+$/, "");
+        const key = normalize(display);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+
+        const alias = { key, text: spaced(key), words: words(key), display, entry, isName: !!c.isName, isSlug: !!c.isSlug };
+        aliases.push(alias);
+        if (!aliasesBySlug.has(slug)) aliasesBySlug.set(slug, []);
+        aliasesBySlug.get(slug).push(alias);
+
+        if (!claims.has(key)) claims.set(key, new Set());
+        claims.get(key).add(slug);
+        if ((c.isName || c.isSlug) && !canonical.has(key)) canonical.set(key, slug);
+      }
+    }
+
+    const aliasToSlug = idx?.aliasToSlug || {};
+    const ambiguousAliases = idx?.ambiguousAliases || {};
+    const hasServerMaps = !!idx?.aliasToSlug;
+
+    function slugForKey(key) {
+      if (hasServerMaps) return aliasToSlug[key] || null;
+      if (canonical.has(key)) return canonical.get(key);
+      const s = claims.get(key);
+      return s && s.size === 1 ? Array.from(s)[0] : null;
+    }
+
+    function slugsForAmbiguousKey(key) {
+      if (hasServerMaps) return ambiguousAliases[key] || null;
+      if (canonical.has(key)) return null;
+      const s = claims.get(key);
+      return s && s.size > 1 ? Array.from(s) : null;
+    }
+
+    // Unique stopword-stripped key -> slug ("chitarra" for "spaghetti alla chitarra")
+    const stopKeyToSlugs = new Map();
+    for (const a of aliases) {
+      const stopKey = stripStopwords(a.key);
+      if (!stopKey) continue;
+      if (!stopKeyToSlugs.has(stopKey)) stopKeyToSlugs.set(stopKey, new Set());
+      stopKeyToSlugs.get(stopKey).add(a.entry.slug);
+    }
+
+    /**
+     * Exact match ("safe to redirect"): an alias that points at ONE shape.
+     */
+    function match(query) {
+      const key = normalize(query);
+      if (!key) return null;
+
+      const slug = slugForKey(key);
+      if (slug) return bySlug.get(slug) || null;
+
+      const stopKey = stripStopwords(key);
+      const slugs = stopKey ? stopKeyToSlugs.get(stopKey) : null;
+      if (slugs && slugs.size === 1) return bySlug.get(Array.from(slugs)[0]) || null;
+
+      return null;
+    }
+
+    /**
+     * An alias several shapes share (e.g. "candele"): [entry, ...] or null.
+     */
+    function ambiguous(query) {
+      const key = normalize(query);
+      const slugs = key ? slugsForAmbiguousKey(key) : null;
+      if (!Array.isArray(slugs) || slugs.length < 2) return null;
+      return slugs.map((s) => bySlug.get(s)).filter(Boolean);
+    }
+
+    function scoreAlias(a, q) {
+      if (a.text === q) return 100 + (a.isName ? 10 : 0);
+      if (a.text.startsWith(q)) return 80 + (a.isName ? 5 : 0);
+      if (a.words.some((w) => w.startsWith(q))) return 60;
+      if (a.text.includes(q)) return 40;
+      return 0;
+    }
+
+    function wordHits(a, qWords) {
+      return qWords.filter((t) => a.words.some((w) => w.startsWith(t))).length;
+    }
+
+    function displayAlias(a) {
+      return { alias: a.isSlug ? a.entry.name : a.display, isName: a.isName || a.isSlug };
+    }
+
+    /**
+     * Ranked results: [{ entry, score, alias, isName }], best first.
+     * `alias` is the display text that matched (the name or an alias).
+     */
+    function search(query, { limit = Infinity } = {}) {
+      const q = spaced(normalize(query));
+      if (!q) return [];
+
+      const qWords = words(stripStopwords(q) || q);
+      const best = new Map(); // slug -> result
+
+      const offer = (a, score) => {
+        const prev = best.get(a.entry.slug);
+        // Same score: prefer showing the name over an alias
+        if (!prev || score > prev.score || (score === prev.score && a.isName && !prev.isName)) {
+          best.set(a.entry.slug, { entry: a.entry, score, ...displayAlias(a) });
+        }
+      };
+
+      for (const a of aliases) {
+        const score = scoreAlias(a, q);
+        if (score) offer(a, score);
+      }
+
+      // Multi-word queries ("elbow macaroni"): words may come from different aliases
+      if (qWords.length > 1) {
+        for (const list of aliasesBySlug.values()) {
+          const hits = qWords.filter((t) => list.some((a) => a.words.some((w) => w.startsWith(t)))).length;
+          if (hits / qWords.length < 0.5) continue;
+
+          // Show the alias that covers the most query words
+          const top = list.reduce((x, y) => (wordHits(y, qWords) > wordHits(x, qWords) ? y : x));
+          offer(top, Math.round(50 * (hits / qWords.length)));
+        }
+      }
+
+      return Array.from(best.values())
+        .sort((x, y) => y.score - x.score || x.entry.name.localeCompare(y.entry.name))
+        .slice(0, limit);
+    }
+
+    /**
+     * "Did you mean": closest aliases (whole alias, or any of its words) by
+     * edit distance. Returns [{ entry, alias }], one per shape.
+     */
+    function didYouMean(query, limit = 5) {
+      const q = spaced(normalize(query));
+      if (!q || q.length < 3) return [];
+
+      const maxDist = Math.min(4, Math.floor(q.length / 6) + 1);
+      const scored = [];
+
+      for (const a of aliases) {
+        let d = levenshtein(q, a.text, maxDist);
+        for (const w of a.words) {
+          if (d === 0) break;
+          if (w.length >= 3) d = Math.min(d, levenshtein(q, w, maxDist));
+        }
+        if (d <= maxDist) scored.push({ a, d });
+      }
+
+      scored.sort((x, y) => x.d - y.d || Number(y.a.isName) - Number(x.a.isName) || x.a.key.localeCompare(y.a.key));
+
+      const out = [];
+      const used = new Set();
+      for (const { a } of scored) {
+        if (used.has(a.entry.slug)) continue;
+        used.add(a.entry.slug);
+        out.push({ entry: a.entry, ...displayAlias(a) });
+        if (out.length >= limit) break;
+      }
+
+      return out;
+    }
+
+    return { entries, match, ambiguous, search, didYouMean };
+  }
+
+  // --------------------------------------------------------------------------
+  // Highlighting
+  // --------------------------------------------------------------------------
+  // Fold one character the way normalize() does (accents off, lower case).
+  function foldChar(ch) {
+    const f = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+    return f.length === 1 ? f : ch.toLowerCase();
+  }
+
+  /**
+   * `text` as a DocumentFragment with the first match of `query` wrapped in
+   * <mark>. Matching ignores case and accents; punctuation in the query counts
+   * as a space. No match = plain text.
+   */
+  function highlight(text, query) {
+    const frag = document.createDocumentFragment();
+    const str = String(text || "");
+    const q = normalize(query).replace(/-/g, " ");
+
+    const folded = Array.from(str)
+      .map(foldChar)
+      .join("")
+      .replace(/[^a-z0-9]/g, " ");
+
+    // Prefer a match at the start of a word
+    let at = -1;
+    if (q) {
+      const re = new RegExp(`(^|\\s)${q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`);
+      const m = re.exec(folded);
+      at = m ? m.index + m[1].length : folded.indexOf(q);
+    }
+
+    if (at < 0 || Array.from(str).length !== folded.length) {
+      frag.appendChild(document.createTextNode(str));
+      return frag;
+    }
+
+    const chars = Array.from(str);
+    const mark = document.createElement("mark");
+    mark.textContent = chars.slice(at, at + q.length).join("");
+
+    frag.appendChild(document.createTextNode(chars.slice(0, at).join("")));
+    frag.appendChild(mark);
+    frag.appendChild(document.createTextNode(chars.slice(at + q.length).join("")));
+    return frag;
+  }
+
+  window.PastaSearchEngine = {
+    normalize,
+    stripStopwords,
+    levenshtein,
+    create,
+    highlight,
+  };
+})();
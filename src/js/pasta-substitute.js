@@ -0,0 +1,319 @@
+/* ------------------------------------------------------------
+   /js/pasta-substitute.js
+
+   Powers /substitute/ ("What can I use instead?"):
+   - Pick the shape a recipe calls for (select, or ?shape=<slug>)
+   - Ranked replacements:
+       1) Curated tiers from the CSV: closest > decent > emergency
+          (with the *Why explanation from the data)
+       2) Feature similarity (Type, IsHollow, IsRidged, IsTwisted,
+          IsCurved, SizeClass, CrossSection) when there are no
+          curated substitutes - or none left after the pantry filter
+   - Optional pantry: tick the shapes you have; results only show
+     those. Saved in localStorage.
+
+   Safe to load globally:
+   - No-ops unless it finds #substitute-app
+------------------------------------------------------------- */
+
+(function () {
+  const app = document.getElementById("substitute-app");
+  if (!app) return;
+
+  const dataEl = document.getElementById("substitute-data");
+  const shapeSelect = document.getElementById("substitute-shape");
+  const resultsEl = document.getElementById("substitute-results");
+  const statusEl = document.getElementById("substitute-status");
+  const pantryList = document.getElementById("substitute-pantry-list");
+  const pantryFilter = document.getElementById("substitute-pantry-filter");
+  const pantryCountEl = document.getElementById("substitute-pantry-count");
+  const pantryClearBtn = document.getElementById("substitute-pantry-clear");
+
+  let shapes = [];
+  try {
+    shapes = JSON.parse(dataEl ? dataEl.textContent : "[]");
+  } catch (e) {
+    shapes = [];
+  }
+
+  const bySlug = new Map(shapes.map((s) => [s.slug, s]));
+
+  const PANTRY_KEY = "pasta-substitute-pantry";
+  const SIMILAR_LIMIT = 8;
+  const SIMILAR_MIN_SCORE = 0.5;
+
+  const TIERS = [
+    { key: "closest", label: "Closest" },
+    { key: "decent", label: "Decent" },
+    { key: "emergency", label: "Emergency" },
+  ];
+
+  // ------------------------------------------------------------
+  // Feature similarity
+  // - Each feature only counts when BOTH shapes have a value, so
+  //   blank CSV cells don't drag a shape down.
+  // ------------------------------------------------------------
+  const SIZE_ORDER = { small: 0, medium: 1, large: 2 };
+
+  const BOOL_FEATURES = [
+    { key: "hollow", weight: 3, yes: "hollow", no: "solid" },
+    { key: "twisted", weight: 2, yes: "twisted", no: "straight" },
+    { key: "ridged", weight: 1, yes: "ridged", no: "smooth" },
+    { key: "curved", weight: 1, yes: "curved", no: "not curved" },
+  ];
+
+  function has(v) {
+    return v !== null && v !== undefined && v !== "";
+  }
+
+  function similarity(a, b) {
+    let possible = 0;
+    let matched = 0;
+    const same = [];
+    const differs = [];
+
+    if (has(a.type) && has(b.type)) {
+      possible += 3;
+      if (a.type === b.type) {
+        matched += 3;
+        same.push(a.type);
+      } else {
+        differs.push(`${b.type} vs ${a.type}`);
+      }
+    }
+
+    BOOL_FEATURES.forEach((f) => {
+      const av = a[f.key];
+      const bv = b[f.key];
+      if (typeof av !== "boolean" || typeof bv !== "boolean") return;
+
+      possible += f.weight;
+      if (av === bv) {
+        matched += f.weight;
+        same.push(av ? f.yes : f.no);
+      } else {
+        differs.push(`${bv ? f.yes : f.no} vs ${av ? f.yes : f.no}`);
+      }
+    });
+
+    if (has(a.crossSection) && has(b.crossSection)) {
+      possible += 2;
+      if (a.crossSection === b.crossSection) {
+        matched += 2;
+        same.push(`${a.crossSection} cross-section`);
+      } else {
+        differs.push(`${b.crossSection} vs ${a.crossSection} cross-section`);
+      }
+    }
+
+    if (a.size in SIZE_ORDER && b.size in SIZE_ORDER) {
+      const gap = Math.abs(SIZE_ORDER[a.size] - SIZE_ORDER[b.size]);
+      possible += 1;
+      if (gap === 0) {
+        matched += 1;
+        same.push(a.size);
+      } else {
+        matched += gap === 1 ? 0.5 : 0;
+        differs.push(`${b.size} vs ${a.size}`);
+      }
+    }
+
+    return { score: possible ? matched / possible : 0, same, differs };
+  }
+
+  function similarWhy(sim) {
+    const parts = [];
+    if (sim.same.length) parts.push(`Also ${sim.same.join(", ")}`);
+    if (sim.differs.length) parts.push(sim.differs.join("; "));
+    return parts.join(" · ");
+  }
+
+  // ------------------------------------------------------------
+  // Pantry (localStorage)
+  // ------------------------------------------------------------
+  function pantryBoxes() {
+    return pantryList ? Array.from(pantryList.querySelectorAll('input[type="checkbox"]')) : [];
+  }
+
+  function loadPantry() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(PANTRY_KEY) || "[]");
+      return new Set(Array.isArray(saved) ? saved : []);
+    } catch (e) {
+      return new Set();
+    }
+  }
+
+  function savePantry(pantry) {
+    try {
+      localStorage.setItem(PANTRY_KEY, JSON.stringify(Array.from(pantry)));
+    } catch (e) {
+      // Private mode / storage disabled - the pantry just won't persist
+    }
+  }
+
+  let pantry = loadPantry();
+
+  function syncPantryBoxes() {
+    pantryBoxes().forEach((box) => {
+      box.checked = pantry.has(box.value);
+    });
+    if (pantryCountEl) pantryCountEl.textContent = pantry.size ? `(${pantry.size} selected)` : "";
+  }
+
+  function inPantry(slug) {
+    return !pantry.size || pantry.has(slug);
+  }
+
+  // ------------------------------------------------------------
+  // Ranking
+  // ------------------------------------------------------------
+  function rank(target) {
+    const curated = [];
+    const seen = new Set([target.slug]);
+
+    TIERS.forEach((tier) => {
+      (target.subs[tier.key] || []).forEach((sub) => {
+        const shape = bySlug.get(sub.slug);
+        if (!shape || seen.has(shape.slug)) return;
+        seen.add(shape.slug);
+        if (!inPantry(shape.slug)) return;
+        curated.push({ shape, label: tier.label, tier: tier.key, why: sub.why });
+      });
+    });
+
+    if (curated.length) return { results: curated, source: "curated" };
+
+    const similar = shapes
+      .filter((s) => !seen.has(s.slug) && inPantry(s.slug))
+      .map((s) => ({ shape: s, sim: similarity(target, s) }))
+      .filter((x) => x.sim.score >= SIMILAR_MIN_SCORE)
+      .sort((a, b) => b.sim.score - a.sim.score || a.shape.name.localeCompare(b.shape.name))
+      .slice(0, SIMILAR_LIMIT)
+      .map((x) => ({
+        shape: x.shape,
+        label: `${Math.round(x.sim.score * 100)}% match`,
+        tier: "similar",
+        why: similarWhy(x.sim),
+      }));
+
+    return { results: similar, source: "similar" };
+  }
+
+  // ------------------------------------------------------------
+  // Rendering
+  // ------------------------------------------------------------
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  function renderResult(r) {
+    const li = el("li");
+
+    const a = el("a", "pasta-link-card");
+    a.href = r.shape.url;
+
+    const thumb = el("span", "thumb");
+    thumb.setAttribute("aria-hidden", "true");
+    const img = el("img");
+    img.src = r.shape.thumb;
+    img.alt = "";
+    img.loading = "lazy";
+    img.decoding = "async";
+    img.width = 56;
+    img.height = 56;
+    thumb.appendChild(img);
+
+    const text = el("span", "pasta-link-card__text");
+    text.appendChild(el("span", `substitute-tier substitute-tier--${r.tier}`, r.label));
+    text.appendChild(el("span", "pasta-link-card__name", r.shape.name));
+    if (r.why) text.appendChild(el("span", "pasta-link-card__why", r.why));
+
+    a.appendChild(thumb);
+    a.appendChild(text);
+    li.appendChild(a);
+    return li;
+  }
+
+  function setStatus(msg) {
+    if (statusEl) statusEl.textContent = msg;
+  }
+
+  function render() {
+    resultsEl.innerHTML = "";
+
+    const target = bySlug.get(shapeSelect.value);
+    if (!target) {
+      setStatus("Choose a shape to see substitutes.");
+      return;
+    }
+
+    const { results, source } = rank(target);
+    results.forEach((r) => resultsEl.appendChild(renderResult(r)));
+
+    const where = pantry.size ? " in your pantry" : "";
+
+    if (!results.length) {
+      setStatus(`No good substitutes for ${target.name}${where}.`);
+    } else if (source === "curated") {
+      setStatus(`Best substitutes for ${target.name}${where}, closest first.`);
+    } else {
+      setStatus(`No curated substitutes for ${target.name}${where} - these shapes are the most similar.`);
+    }
+  }
+
+  // Keep ?shape= in the URL so a result can be shared / bookmarked
+  function syncUrl() {
+    const url = new URL(window.location.href);
+    if (shapeSelect.value) url.searchParams.set("shape", shapeSelect.value);
+    else url.searchParams.delete("shape");
+    window.history.replaceState(null, "", url);
+  }
+
+  // ------------------------------------------------------------
+  // Wire up
+  // ------------------------------------------------------------
+  const initial = new URLSearchParams(window.location.search).get("shape");
+  if (initial && bySlug.has(initial)) shapeSelect.value = initial;
+
+  shapeSelect.addEventListener("change", () => {
+    syncUrl();
+    render();
+  });
+
+  if (pantryList) {
+    pantryList.addEventListener("change", (e) => {
+      const box = e.target;
+      if (!box || box.type !== "checkbox") return;
+      if (box.checked) pantry.add(box.value);
+      else pantry.delete(box.value);
+      savePantry(pantry);
+      syncPantryBoxes();
+      render();
+    });
+  }
+
+  if (pantryFilter && pantryList) {
+    pantryFilter.addEventListener("input", () => {
+      const q = pantryFilter.value.trim().toLowerCase();
+      Array.from(pantryList.children).forEach((li) => {
+        li.hidden = !!q && !(li.dataset.name || "").includes(q);
+      });
+    });
+  }
+
+  if (pantryClearBtn) {
+    pantryClearBtn.addEventListener("click", () => {
+      pantry = new Set();
+      savePantry(pantry);
+      syncPantryBoxes();
+      render();
+    });
+  }
+
+  syncPantryBoxes();
+  render();
+})();
@@ -0,0 +1,109 @@
+// src/js/pasta-text.js
+// ============================================================================
+// Tokenizer + light English/Italian stemmer for full-text search.
+//
+// SHARED BY
+// - The build (src/_lib/pasta-fulltext.js requires this file) to write
+//   /api/pasta-fulltext.json
+// - The browser (/src/js/pasta-fulltext.js) to tokenize queries and find
+//   hits for snippets
+// Both sides MUST stem the same way, so there is only one copy of the rules.
+//
+// STEMMING (deliberately light - a shape catalogue, not a search engine)
+// - Accents folded, lowercased
+// - English: plural -s (not -ss/-us/-is), -ing, -ed, -ly
+// - Italian: -mente, then trailing vowels ("salsiccia"/"salsicce" -> "salsicc"),
+//   and ch/gh before a dropped vowel ("funghi"/"fungo" -> "fung")
+// - Stems never get shorter than 3 letters
+//
+// EXPOSES
+// - window.PastaText = { STOPWORDS, fold, tokenize, stem, terms }
+// - module.exports (same object) when loaded by Node
+// ============================================================================
+
+(function (root) {
+  // English + Italian words too common to be worth indexing
+  const STOPWORDS = new Set([
+    // English
+    "a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "from", "has",
+    "have", "in", "is", "it", "its", "of", "on", "or", "that", "the", "their",
+    "this", "to", "was", "were", "which", "with",
+    // Italian
+    "ai", "al", "alla", "alle", "allo", "con", "da", "dei", "del", "della", "delle",
+    "di", "e", "gli", "i", "il", "la", "le", "lo", "per", "un", "una",
+  ]);
+
+  const MIN_STEM = 3;
+
+  function fold(s) {
+    return String(s || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "");
+  }
+
+  /**
+   * Words in `text` with their character offsets: [{ word, start, end }].
+   * `word` is folded; offsets point into the ORIGINAL text (for snippets).
+   * Apostrophes split words, so "l'amatriciana" -> "amatriciana" and the
+   * leftover "l" / possessive "s" are dropped as single letters.
+   */
+  function tokenize(text) {
+    const src = String(text || "");
+    const out = [];
+    const re = /[\p{L}\p{N}]+/gu;
+    let m;
+
+    while ((m = re.exec(src))) {
+      const word = fold(m[0]);
+      if (word.length > 1) out.push({ word, start: m.index, end: m.index + m[0].length });
+    }
+
+    return out;
+  }
+
+  function stripSuffix(word, suffix) {
+    if (!word.endsWith(suffix)) return word;
+    const rest = word.slice(0, -suffix.length);
+    return rest.length >= MIN_STEM ? rest : word;
+  }
+
+  function stem(word) {
+    let w = fold(word);
+    if (w.length <= MIN_STEM || /\d/.test(w)) return w;
+
+    // English
+    if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = stripSuffix(w, "s");
+    if (w.endsWith("ing")) w = stripSuffix(w, "ing");
+    else if (w.endsWith("ed")) w = stripSuffix(w, "ed");
+    else if (w.endsWith("ly")) w = stripSuffix(w, "ly");
+
+    // Italian
+    w = stripSuffix(w, "mente");
+
+    // Trailing vowels (one pass covers both languages: "sauce"/"sauces" -> "sauc")
+    const bare = w.replace(/[aeiouy]+$/, "");
+    if (bare.length >= MIN_STEM) {
+      w = bare;
+      // funghi / fungo, maccheroni-style ch/gh plurals
+      if (/[cg]h$/.test(w) && w.length - 1 >= MIN_STEM) w = w.slice(0, -1);
+    }
+
+    return w;
+  }
+
+  /**
+   * Index / query terms for a piece of text: stems of non-stopword tokens.
+   */
+  function terms(text) {
+    return tokenize(text)
+      .filter((t) => !STOPWORDS.has(t.word))
+      .map((t) => stem(t.word))
+      .filter(Boolean);
+  }
+
+  const api = { STOPWORDS, fold, tokenize, stem, terms };
+
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.PastaText = api;
+})(typeof window !== "undefined" ? window : this);
@@ -0,0 +1,198 @@
+/* ------------------------------------------------------------
+   /js/pasta-timeline.js
+
+   Powers /timeline/ (pasta shapes through history):
+   - Draws the #timeline-svg from the #timeline-data JSON
+     (src/_lib/pasta-timeline.js): an axis of years, then one
+     lane per era with one bar per shape
+   - Bar opacity follows FirstIntroducedConfidenceV2
+     (.timeline-bar--high / --medium / --low); open-ended ranges
+     ("1901 or later") get .timeline-bar--open
+   - Zoom: +/- buttons (and Ctrl/Cmd + wheel) change the pixels
+     per year, keeping the year under the centre in place; "Fit"
+     returns to the full range
+   - Each bar links to the shape's page
+
+   Safe to load globally:
+   - No-ops unless it finds #timeline-app
+------------------------------------------------------------- */
+
+(function () {
+  const app = document.getElementById("timeline-app");
+  if (!app) return;
+
+  const dataEl = document.getElementById("timeline-data");
+  const svg = document.getElementById("timeline-svg");
+  const scroller = document.getElementById("timeline-scroll");
+  const zoomInBtn = document.getElementById("timeline-zoom-in");
+  const zoomOutBtn = document.getElementById("timeline-zoom-out");
+  const zoomFitBtn = document.getElementById("timeline-zoom-fit");
+  const statusEl = document.getElementById("timeline-status");
+
+  let data = null;
+  try {
+    data = JSON.parse(dataEl ? dataEl.textContent : "null");
+  } catch (e) {
+    data = null;
+  }
+  if (!data || !svg || !data.eras.length) return;
+
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  // Layout (px)
+  const AXIS_H = 28;
+  const LANE_HEAD_H = 26;
+  const ROW_H = 20;
+  const BAR_H = 12;
+  const LANE_GAP = 10;
+  const PAD_LEFT = 12;
+  const LABEL_ROOM = 170; // past the axis end, for the names of the latest bars
+  const MIN_BAR_W = 4;
+  const FALLBACK_WIDTH = 720;
+
+  // Zoom
+  const ZOOM_STEP = 1.6;
+  const MAX_ZOOM = 24;
+  const TICK_STEPS = [500, 250, 100, 50, 25, 10, 5];
+  const MIN_TICK_GAP = 64;
+
+  const span = Math.max(1, data.end - data.start);
+  let zoom = 1;
+
+  function fitPxPerYear() {
+    const width = (scroller && scroller.clientWidth) || FALLBACK_WIDTH;
+    return Math.max(0.1, (width - PAD_LEFT - LABEL_ROOM) / span);
+  }
+
+  function pxPerYear() {
+    return fitPxPerYear() * zoom;
+  }
+
+  // ------------------------------------------------------------
+  // Drawing
+  // ------------------------------------------------------------
+  function node(tag, attrs, text) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.keys(attrs || {}).forEach((k) => el.setAttribute(k, attrs[k]));
+    if (text) el.textContent = text;
+    return el;
+  }
+
+  function tickStep(ppy) {
+    for (let i = TICK_STEPS.length - 1; i >= 0; i--) {
+      if (TICK_STEPS[i] * ppy >= MIN_TICK_GAP) return TICK_STEPS[i];
+    }
+    return TICK_STEPS[0];
+  }
+
+  function render() {
+    const ppy = pxPerYear();
+    const x = (year) => PAD_LEFT + (year - data.start) * ppy;
+
+    const rows = data.eras.reduce((n, lane) => n + lane.shapes.length, 0);
+    const height = AXIS_H + data.eras.length * (LANE_HEAD_H + LANE_GAP) + rows * ROW_H;
+    const width = Math.ceil(x(data.end) + LABEL_ROOM);
+
+    // Keep the <title>; redraw everything else
+    Array.from(svg.childNodes).forEach((c) => {
+      if (c.nodeName.toLowerCase() !== "title") svg.removeChild(c);
+    });
+    svg.setAttribute("width", width);
+    svg.setAttribute("height", height);
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+    // Axis + grid
+    const step = tickStep(ppy);
+    const axis = node("g", { class: "timeline-axis" });
+    for (let year = Math.ceil(data.start / step) * step; year <= data.end; year += step) {
+      axis.appendChild(node("line", { class: "timeline-grid", x1: x(year), x2: x(year), y1: AXIS_H - 6, y2: height }));
+      axis.appendChild(node("text", { class: "timeline-tick", x: x(year), y: AXIS_H - 10 }, String(year)));
+    }
+    svg.appendChild(axis);
+
+    // Lanes
+    let y = AXIS_H;
+    data.eras.forEach((lane, i) => {
+      const laneH = LANE_HEAD_H + lane.shapes.length * ROW_H + LANE_GAP;
+      const g = node("g", { class: `timeline-lane timeline-lane--${i % 2 ? "odd" : "even"}` });
+
+      g.appendChild(node("rect", { class: "timeline-lane__bg", x: 0, y, width, height: laneH }));
+      g.appendChild(node("text", { class: "timeline-lane__label", x: PAD_LEFT, y: y + LANE_HEAD_H - 8 }, lane.label));
+
+      lane.shapes.forEach((bar, row) => {
+        const top = y + LANE_HEAD_H + row * ROW_H;
+        const x1 = x(bar.start);
+        const w = Math.max(MIN_BAR_W, x(bar.end) - x1);
+
+        const classes = ["timeline-bar"];
+        if (bar.confidence) classes.push(`timeline-bar--${bar.confidence}`);
+        if (bar.open) classes.push("timeline-bar--open");
+
+        const link = node("a", { class: "timeline-shape", href: bar.url });
+        const confidence = bar.confidence ? ` (${bar.confidence} confidence)` : "";
+        link.appendChild(node("title", {}, `${bar.name}: ${bar.when}${confidence}`));
+        link.appendChild(node("rect", { class: classes.join(" "), x: x1, y: top + (ROW_H - BAR_H) / 2, width: w, height: BAR_H, rx: 3 }));
+        link.appendChild(node("text", { class: "timeline-shape__name", x: x1 + w + 6, y: top + ROW_H / 2 + 4 }, bar.name));
+        g.appendChild(link);
+      });
+
+      svg.appendChild(g);
+      y += laneH;
+    });
+
+    if (zoomOutBtn) zoomOutBtn.disabled = zoom <= 1;
+    if (zoomInBtn) zoomInBtn.disabled = zoom >= MAX_ZOOM;
+  }
+
+  function setStatus(msg) {
+    if (statusEl) statusEl.textContent = msg;
+  }
+
+  // ------------------------------------------------------------
+  // Zoom (keeps the year at the centre of the view in place)
+  // ------------------------------------------------------------
+  function setZoom(next) {
+    const clamped = Math.min(MAX_ZOOM, Math.max(1, next));
+    if (clamped === zoom) return;
+
+    const view = (scroller && scroller.clientWidth) || FALLBACK_WIDTH;
+    const centreYear = data.start + ((scroller ? scroller.scrollLeft : 0) + view / 2 - PAD_LEFT) / pxPerYear();
+
+    zoom = clamped;
+    render();
+
+    if (scroller) scroller.scrollLeft = Math.max(0, PAD_LEFT + (centreYear - data.start) * pxPerYear() - view / 2);
+
+    const from = Math.max(data.start, Math.round(centreYear - view / 2 / pxPerYear()));
+    const to = Math.min(data.end, Math.round(centreYear + view / 2 / pxPerYear()));
+    setStatus(zoom === 1 ? `${data.count} dated shapes, ${data.start}–${data.end}.` : `Showing about ${from}–${to}.`);
+  }
+
+  // ------------------------------------------------------------
+  // Wire up
+  // ------------------------------------------------------------
+  if (zoomInBtn) zoomInBtn.addEventListener("click", () => setZoom(zoom * ZOOM_STEP));
+  if (zoomOutBtn) zoomOutBtn.addEventListener("click", () => setZoom(zoom / ZOOM_STEP));
+  if (zoomFitBtn) zoomFitBtn.addEventListener("click", () => setZoom(1));
+
+  if (scroller) {
+    scroller.addEventListener(
+      "wheel",
+      (e) => {
+        if (!e.ctrlKey && !e.metaKey) return; // plain wheel keeps scrolling the page
+        e.preventDefault();
+        setZoom(e.deltaY < 0 ? zoom * ZOOM_STEP : zoom / ZOOM_STEP);
+      },
+      { passive: false }
+    );
+  }
+
+  // The fitted scale depends on the container width
+  let resizeTimer = null;
+  window.addEventListener("resize", () => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(render, 150);
+  });
+
+  render();
+})();
@@ -0,0 +1,94 @@
+/* ------------------------------------------------------------
+   /js/pwa.js
+
+   Registers the service worker (/sw.js, built from src/sw.njk)
+   and shows the "new version available" prompt:
+   - Each build bakes the pasta index `generatedAt` into sw.js
+     AND into <meta name="pasta-build"> on every page.
+   - When a new worker is waiting, ask it for its build ID; if it
+     differs from this page's build, show #update-toast.
+   - "Reload" tells the waiting worker to take over, then reloads
+     once the new worker controls the page.
+
+   Safe to load globally:
+   - No-ops when service workers aren't supported
+------------------------------------------------------------- */
+
+(function () {
+  if (!("serviceWorker" in navigator)) return;
+
+  const toast = document.getElementById("update-toast");
+  const reloadBtn = document.getElementById("update-toast-reload");
+  const dismissBtn = document.getElementById("update-toast-dismiss");
+
+  const buildMeta = document.querySelector('meta[name="pasta-build"]');
+  const pageBuild = buildMeta ? buildMeta.getAttribute("content") : "";
+
+  let waitingWorker = null;
+  let reloading = false;
+
+  function askBuild(worker) {
+    return new Promise((resolve) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(() => resolve(""), 2000);
+
+      channel.port1.onmessage = (e) => {
+        clearTimeout(timer);
+        resolve((e.data && e.data.buildId) || "");
+      };
+
+      worker.postMessage({ type: "GET_BUILD" }, [channel.port2]);
+    });
+  }
+
+  async function offerUpdate(worker) {
+    // First install (nothing controlling the page yet) isn't an "update"
+    if (!worker || !navigator.serviceWorker.controller) return;
+
+    const build = await askBuild(worker);
+    if (!build || build === pageBuild) return;
+
+    waitingWorker = worker;
+    if (toast) toast.hidden = false;
+  }
+
+  function watchInstalling(worker) {
+    if (!worker) return;
+    worker.addEventListener("statechange", () => {
+      if (worker.state === "installed") offerUpdate(worker);
+    });
+  }
+
+  if (reloadBtn) {
+    reloadBtn.addEventListener("click", () => {
+      if (!waitingWorker) return window.location.reload();
+      waitingWorker.postMessage({ type: "SKIP_WAITING" });
+    });
+  }
+
+  if (dismissBtn) {
+    dismissBtn.addEventListener("click", () => {
+      if (toast) toast.hidden = true;
+    });
+  }
+
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    // Only reload when the user asked for the update
+    if (reloading || !waitingWorker) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  window.addEventListener("load", async () => {
+    try {
+      const reg = await navigator.serviceWorker.register("/sw.js");
+
+      if (reg.waiting) offerUpdate(reg.waiting);
+      watchInstalling(reg.installing);
+
+      reg.addEventListener("updatefound", () => watchInstalling(reg.installing));
+    } catch (e) {
+      // Offline support is an enhancement - the site works without it
+    }
+  });
+})();
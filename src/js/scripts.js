@@ -4,15 +4,17 @@
   Global JS for Pasta Shapes (mobile-first behaviors)
 
   UPDATE IN THIS REVISION
-  - Homepage search: STRICT prefix matching by pasta NAME only
-    - Typing "r" shows ONLY rows whose data-name starts with "r"
-    - No fallback includes() match against synonyms/aliases
+  - Homepage search uses the shared engine (/src/js/pasta-search-engine.js):
+    names, synonyms, search aliases and slugs, ranked, with "did you mean"
   - Show ALL matches (no paging; "Next 10" is always hidden)
 
   Preserved
   - Hamburger drawer toggle
   - Rotator sync + anti-flash (preload/decode, fade swap)
 
+  Images
+  - Blur-up placeholders for {% pastaImage %} (src/_lib/pasta-images.js)
+
   Heavily commented for future-proofing.
 ============================================================================= */
 
@@ -192,27 +194,50 @@
   }
 
   /* ---------------------------------------------------------------------------
-    Home search filtering (STRICT PREFIX BY NAME ONLY)
+    Home search (shared engine: /src/js/pasta-search-engine.js)
     ---------------------------------------------------------------------------
-    Required behavior:
-    - Typing "r" shows ONLY pastas whose NAME begins with "r"
-    - Show ALL matches (no paging)
+    Behavior:
+    - Matches names, Synonyms, SearchAliases and slugs ("perciatelli",
+      "elbow macaroni", "spaghetti-alla-chitarra")
+    - Rows are shown in relevance order until a column header is clicked
+    - The matched part is highlighted; alias matches show "aka <alias>"
+    - Nothing matched: "Did you mean" links (Levenshtein)
+    - Alias shared by several shapes: say so in the status line
+    - Enter on an exact match opens that pasta
+    - Link to /search/ for the same query (full-text over descriptions,
+      history and pairings)
     - Keep Identify hidden while searching, show results panel
   --------------------------------------------------------------------------- */
   function initHomeSearch() {
+    const form = $("#pasta-search-form");
     const input = $("#pasta-q");
     const resultsPanel = $("#home-results-panel");
     const identifyCard = $("#home-identify-card");
     const tbody = $("#pasta-results-body");
     const countEl = $("#pasta-search-count");
+    const statusEl = $("#pasta-search-status");
+    const suggestionsEl = $("#pasta-search-suggestions");
     const toggleBtn = $("#pasta-toggle-all");
+    const fulltextLink = $("#pasta-fulltext-link");
+    const Engine = window.PastaSearchEngine;
 
-    if (!input || !resultsPanel || !tbody) return;
+    if (!input || !resultsPanel || !tbody || !Engine) return;
 
     const rows = $all("tr.data-row", tbody);
+    const rowBySlug = new Map(rows.map((r) => [r.getAttribute("data-slug"), r]));
     const sortableHeaders = $all("th.data-table__sortable[data-sort]", tbody.closest("table") || document);
 
-    let sortKey = "name";
+    // Until the index loads (or if it can't), search what the table rows carry
+    let engine = Engine.create({
+      entries: rows.map((row) => {
+        const name = row.getAttribute("data-name") || "";
+        const also = (row.getAttribute("data-search") || "").slice(name.length);
+        return { slug: row.getAttribute("data-slug"), name, synonyms: also };
+      }),
+    });
+
+    // "relevance" = engine order; "name" / "category" = header sort
+    let sortKey = "relevance";
     let sortDir = "ascending";
 
     function compareRows(a, b, key, dir) {
@@ -254,28 +279,86 @@
       if (identifyCard) identifyCard.hidden = on;
     }
 
+    function setStatus(text) {
+      if (statusEl) statusEl.textContent = text || "";
+    }
+
+    // "Search descriptions, history and pairings for <q>" -> /search/?q=
+    function updateFulltextLink(q) {
+      if (!fulltextLink) return;
+      const a = $("a", fulltextLink);
+      fulltextLink.hidden = !q;
+      if (!a || !q) return;
+      a.href = `/search/?q=${encodeURIComponent(q)}`;
+      a.textContent = `Search descriptions, history and pairings for “${q}”`;
+    }
+
+    function renderDidYouMean(items) {
+      if (!suggestionsEl) return;
+      suggestionsEl.innerHTML = "";
+
+      items.forEach((it) => {
+        const li = document.createElement("li");
+        const a = document.createElement("a");
+        a.href = it.entry.url;
+        a.textContent = it.isName ? it.entry.name : `${it.entry.name} (aka ${it.alias})`;
+        li.appendChild(a);
+        suggestionsEl.appendChild(li);
+      });
+    }
+
+    // Name cell: highlighted name, or name + "aka <highlighted alias>"
+    function renderNameCell(row, result, q) {
+      const th = $(".data-table__name", row);
+      if (!th) return;
+
+      const name = row.getAttribute("data-name") || "";
+      th.textContent = "";
+
+      if (!result) {
+        th.textContent = name;
+        return;
+      }
+
+      if (result.isName) {
+        th.appendChild(Engine.highlight(name, q));
+        return;
+      }
+
+      th.appendChild(document.createTextNode(name));
+      const aka = document.createElement("span");
+      aka.className = "data-table__aka";
+      aka.appendChild(document.createTextNode("aka "));
+      aka.appendChild(Engine.highlight(result.alias, q));
+      th.appendChild(aka);
+    }
+
     function updateUI() {
-      const q = normalize(input.value);
+      const q = input.value.trim();
+
+      renderDidYouMean([]);
+      setStatus("");
+      updateFulltextLink(normalize(q) ? q : "");
 
       // No query: hide all rows and show Identify card again
-      if (!q) {
+      if (!normalize(q)) {
         setSearching(false);
-        rows.forEach(r => { r.hidden = true; });
+        rows.forEach(r => { r.hidden = true; renderNameCell(r, null, ""); });
         if (countEl) countEl.textContent = "Start typing to see matches.";
         return;
       }
 
       setSearching(true);
 
-      // STRICT prefix match against the pasta NAME only
-      const matches = [];
-      for (const row of rows) {
-        const name = normalize(row.getAttribute("data-name") || "");
-        if (name.startsWith(q)) matches.push(row);
-      }
+      const results = engine.search(q);
+      const resultBySlug = new Map(results.map((r) => [r.entry.slug, r]));
 
-      // Sort matches using current table sort key/dir
-      matches.sort((ra, rb) => compareRows(ra, rb, sortKey, sortDir));
+      let matches = results.map((r) => rowBySlug.get(r.entry.slug)).filter(Boolean);
+
+      // Header sort overrides relevance
+      if (sortKey !== "relevance") {
+        matches = matches.slice().sort((ra, rb) => compareRows(ra, rb, sortKey, sortDir));
+      }
 
       // Reorder visible rows to match the active sort, then reveal only matches.
       // (Toggling `hidden` alone does not change DOM order.)
@@ -283,6 +366,7 @@
       const matchSet = new Set(matches);
       matches.forEach((row) => {
         row.hidden = false;
+        renderNameCell(row, resultBySlug.get(row.getAttribute("data-slug")), q);
         frag.appendChild(row);
       });
       tbody.appendChild(frag);
@@ -291,6 +375,15 @@
         if (!matchSet.has(row)) row.hidden = true;
       });
 
+      const shared = engine.ambiguous(q);
+      if (shared) setStatus(`"${q}" is used for ${shared.length} shapes. Which one did you mean?`);
+
+      if (!matches.length) {
+        const dym = engine.didYouMean(q, 5);
+        renderDidYouMean(dym);
+        if (dym.length) setStatus("No matches. Did you mean:");
+      }
+
       if (countEl) {
         countEl.textContent = matches.length ? `${matches.length} shown` : "No matches.";
       }
@@ -326,8 +419,49 @@
 
     input.addEventListener("input", updateUI);
 
-    // Run once (supports prefilled query later if added)
+    // Enter: open an exact match, otherwise stay on the results
+    if (form) {
+      form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        const match = engine.match(input.value);
+        if (match) window.location.href = match.url;
+      });
+    }
+
+    // Supports /?q=... (the form's no-JS submit)
+    const initialQ = new URLSearchParams(window.location.search).get("q");
+    if (initialQ && !input.value) input.value = initialQ;
+
     updateUI();
+
+    // Full alias index (SearchAliases, shared-alias info); re-run once loaded
+    fetch("/api/pasta-index.json", { cache: "force-cache" })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((idx) => {
+        if (!idx) return;
+        engine = Engine.create(idx);
+        updateUI();
+      })
+      .catch(() => { /* keep the table-based engine */ });
+  }
+
+  /* ---------------------------------------------------------------------------
+    Blur-up images ({% pastaImage %} presets with a placeholder)
+    - .pasta-img holds a tiny blurred copy under the real <picture>; once the
+      real image has loaded, .is-loaded fades the copy out (it would otherwise
+      show through transparent PNG cut-outs).
+  --------------------------------------------------------------------------- */
+  function initBlurUp() {
+    $all(".pasta-img").forEach((wrap) => {
+      const img = $(".pasta-img__img", wrap);
+      if (!img) return;
+
+      const done = () => wrap.classList.add("is-loaded");
+      if (img.complete && img.naturalWidth > 0) return done();
+
+      img.addEventListener("load", done, { once: true });
+      img.addEventListener("error", done, { once: true });
+    });
   }
 
   /* ---------------------------------------------------------------------------
@@ -337,6 +471,7 @@
     initHamburgerNav();
     initRotators();
     initHomeSearch();
+    initBlurUp();
   });
 
 })();
@@ -0,0 +1,47 @@
+// src/manifest.11ty.js
+//
+// Web app manifest (/manifest.webmanifest) so the site can be installed and
+// opened offline from the home screen (see src/sw.njk for the service worker).
+// Icons come from the same favicon as the apple-touch-icon (src/_lib/pasta-images.js).
+// When the image provider has no favicon.png (local builds) that's /favicon.ico,
+// declared once with its own type rather than as sized PNGs.
+
+// Icon file extension -> manifest `type`
+const ICON_TYPES = { png: "image/png", ico: "image/x-icon", svg: "image/svg+xml", webp: "image/webp" };
+
+module.exports = class {
+  data() {
+    return {
+      permalink: "/manifest.webmanifest",
+      eleventyExcludeFromCollections: true,
+    };
+  }
+
+  render() {
+    const typeOf = (src) => ICON_TYPES[(String(src).split("?")[0].match(/\.([a-z0-9]+)$/i) || [])[1]] || "";
+
+    let icons = [192, 512].map((size) => {
+      const src = this.appleTouchIconUrl(size);
+      return { src, sizes: `${size}x${size}`, type: typeOf(src), purpose: "any" };
+    });
+    if (icons.some((i) => i.type !== "image/png")) {
+      icons = [{ src: icons[0].src, sizes: "any", type: icons[0].type, purpose: "any" }];
+    }
+
+    return JSON.stringify(
+      {
+        name: "Pasta Shapes",
+        short_name: "Pasta Shapes",
+        description: "Search and identify pasta shapes - works offline once loaded.",
+        start_url: "/",
+        scope: "/",
+        display: "standalone",
+        background_color: "#ffffff",
+        theme_color: "#ffffff",
+        icons,
+      },
+      null,
+      2
+    );
+  }
+};
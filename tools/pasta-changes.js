@@ -0,0 +1,129 @@
+/**
+ * tools/pasta-changes.js
+ * -----------------------------------------------------------------------------
+ * PURPOSE
+ * - Print the dataset changelog from the terminal: what changed between the
+ *   archived snapshots in src/_data/archive/ (pasta-YYYYMMDD.csv) and the live
+ *   src/_data/pasta.csv. Same diff as the /changes/ page and its Atom feed
+ *   (src/_lib/pasta-changes.js).
+ *
+ * USAGE
+ *   node tools/pasta-changes.js                       every consecutive pair
+ *   node tools/pasta-changes.js --from 2026-02-01     one pair, up to current
+ *   node tools/pasta-changes.js --from 2026-01-31 --to 2026-02-03
+ *   node tools/pasta-changes.js --values              include before/after
+ *
+ * Snapshots are named by date (YYYY-MM-DD or YYYYMMDD) or "current".
+ * -----------------------------------------------------------------------------
+ */
+
+const path = require("path");
+
+const { loadPastaCsv } = require("../src/_lib/pasta-csv");
+const { loadArchives, diffSnapshots, getPastaChanges } = require("../src/_lib/pasta-changes");
+
+// -------------------------------
+// Arguments
+// -------------------------------
+function parseArgs(argv) {
+  const args = { from: "", to: "", values: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--values") args.values = true;
+    else if (a === "--from") args.from = argv[++i] || "";
+    else if (a === "--to") args.to = argv[++i] || "";
+    else if (a === "--help" || a === "-h") args.help = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return args;
+}
+
+// "20260201" -> "2026-02-01"
+function snapshotKey(value) {
+  const v = String(value || "").trim().toLowerCase();
+  const m = v.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : v;
+}
+
+// -------------------------------
+// Report
+// -------------------------------
+function printChange(change, { values }) {
+  const { counts } = change;
+  console.log(`\n${change.from.file} -> ${change.to.file} (${change.date})`);
+  console.log(
+    `  ${counts.added} added, ${counts.removed} removed, ${counts.renamed} renamed, ${counts.changed} updated`
+  );
+  if (change.columnsAdded.length) console.log(`  New columns: ${change.columnsAdded.join(", ")}`);
+  if (change.columnsRemoved.length) console.log(`  Dropped columns: ${change.columnsRemoved.join(", ")}`);
+
+  for (const s of change.added) console.log(`  + ${s.slug}`);
+  for (const s of change.removed) console.log(`  - ${s.slug}`);
+  for (const r of change.renamed) console.log(`  ~ ${r.from} -> ${r.to}`);
+
+  for (const s of change.changed) {
+    console.log(`  * ${s.slug}: ${s.fields.map((f) => f.column).join(", ")}`);
+    if (!values) continue;
+    for (const f of s.fields) {
+      console.log(`      ${f.column}`);
+      console.log(`        before: ${f.before || "(blank)"}`);
+      console.log(`        after:  ${f.after || "(blank)"}`);
+    }
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log("Usage: node tools/pasta-changes.js [--from <date>] [--to <date|current>] [--values]");
+    return;
+  }
+
+  let changes;
+  if (args.from || args.to) {
+    // One arbitrary pair
+    const loaded = loadPastaCsv();
+    const snapshots = [
+      ...loadArchives(),
+      { key: "current", file: path.basename(loaded.csvPath), date: "current", data: loaded },
+    ];
+    const find = (key) => {
+      const snap = snapshots.find((s) => s.key === snapshotKey(key));
+      if (!snap) {
+        throw new Error(`No snapshot "${key}". Available: ${snapshots.map((s) => s.key).join(", ")}`);
+      }
+      return snap;
+    };
+
+    const from = find(args.from || snapshots[0].key);
+    const to = find(args.to || "current");
+    const diff = diffSnapshots(from.data, to.data);
+    changes = [
+      {
+        id: `${from.key}-to-${to.key}`,
+        from: { key: from.key, file: from.file },
+        to: { key: to.key, file: to.file },
+        date: to.date,
+        ...diff,
+        counts: {
+          added: diff.added.length,
+          removed: diff.removed.length,
+          renamed: diff.renamed.length,
+          changed: diff.changed.length,
+        },
+      },
+    ];
+  } else {
+    // Every consecutive pair, oldest first
+    changes = getPastaChanges().changes.slice().reverse();
+  }
+
+  changes.forEach((c) => printChange(c, args));
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`pasta-changes: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,253 @@
+/**
+ * tools/pasta-images-audit.js
+ * -----------------------------------------------------------------------------
+ * PURPOSE
+ * - Image coverage audit: which shapes lack a thumbnail, a photo, an uncooked
+ *   or a cooked image, and whose ThumbnailImage doesn't match any downloaded
+ *   file. The site hides these gaps at runtime (the All Pastas thumb
+ *   fallback, the detail gallery leaving states out), so this surfaces them.
+ * - Cross-references src/_data/pasta.csv, the downloader's manifest.csv and
+ *   failed-filenames.txt, and the download folders (uncooked/, cooked/ under
+ *   PASTA_IMAGES_DIR - the same place the local image provider reads).
+ *
+ * USAGE
+ *   node tools/pasta-images-audit.js                 shapes with gaps + summary
+ *   node tools/pasta-images-audit.js --all           every shape
+ *   node tools/pasta-images-audit.js --out FILE      report path (default <tmp>/pasta-image-coverage.json)
+ *   node tools/pasta-images-audit.js --strict        exit 1 when anything is missing
+ *
+ * STATUSES
+ *   ok              listed and downloaded
+ *   missing         nothing listed (blank column / no manifest row)
+ *   not-downloaded  listed, but no file in the download folder
+ *   failed          the manifest URL is in failed-filenames.txt (a 404)
+ *   mismatch        ThumbnailImage / PhotoImage names a file that isn't there,
+ *                   but the folder has one for this slug under another name
+ *
+ * REPORT (JSON)
+ *   { generated, imagesDir, downloadsFound, summary: { <column>: { <status>: n } },
+ *     shapes: [{ slug, name, thumb, photo, uncooked, cooked, gaps }],
+ *     thumbMismatches: [{ slug, file, downloaded }], orphanManifestSlugs: [slug] }
+ *   thumb / photo = { status, file }; uncooked / cooked = { status, files, sources }
+ * -----------------------------------------------------------------------------
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Papa = require("papaparse");
+
+const { loadPastaCsv } = require("../src/_lib/pasta-csv");
+const { SOURCE_FOLDERS, IMAGE_EXTS, sourceDir } = require("../src/_lib/image-provider-local");
+const { MANIFEST_PATH } = require("../src/_lib/pasta-gallery");
+
+const FAILED_PATH = path.join(path.dirname(MANIFEST_PATH), "failed-filenames.txt");
+// Outside the repo, so the report never ends up in a commit
+const DEFAULT_OUT = path.join(os.tmpdir(), "pasta-image-coverage.json");
+
+// Report columns: CSV column (single file) or gallery state (several sources)
+const COLUMNS = [
+  { key: "thumb", label: "Thumb", column: "ThumbnailImage", folder: "thumbs" },
+  { key: "photo", label: "Photo", column: "PhotoImage", folder: "full" },
+  { key: "uncooked", label: "Dry", state: "uncooked", column: "HeroImageUncooked", folder: "thumbs" },
+  { key: "cooked", label: "Cooked", state: "cooked", column: "HeroImageCooked", folder: "full" },
+];
+
+const STATUSES = ["ok", "missing", "not-downloaded", "failed", "mismatch"];
+
+// Short marks for the table
+const MARKS = { ok: "ok", missing: "-", "not-downloaded": "no file", failed: "404", mismatch: "name?" };
+
+// -------------------------------
+// Arguments
+// -------------------------------
+function parseArgs(argv) {
+  const args = { all: false, strict: false, out: DEFAULT_OUT };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--all") args.all = true;
+    else if (a === "--strict") args.strict = true;
+    else if (a === "--out") args.out = argv[++i] || "";
+    else if (a === "--help" || a === "-h") args.help = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  if (!args.out) throw new Error("--out needs a file path");
+  return args;
+}
+
+// -------------------------------
+// Inputs
+// -------------------------------
+const stemOf = (file) => path.basename(String(file), path.extname(String(file))).toLowerCase();
+
+// "Special:FilePath/Acini%20di%20pepe.jpg" -> "acini_di_pepe.jpg" (failed-filenames.txt spelling)
+function urlFileKey(url) {
+  const last = String(url).split(/[?#]/)[0].split("/").pop() || "";
+  let name = last;
+  try {
+    name = decodeURIComponent(last);
+  } catch (_) {
+    /* keep it encoded */
+  }
+  return name.trim().replace(/ /g, "_").toLowerCase();
+}
+
+// Download folder -> Map(stem -> filename)
+function listFolder(dir) {
+  const byStem = new Map();
+  if (!fs.existsSync(dir)) return byStem;
+  for (const f of fs.readdirSync(dir)) {
+    if (IMAGE_EXTS.includes(path.extname(f).toLowerCase())) byStem.set(stemOf(f), f);
+  }
+  return byStem;
+}
+
+function loadManifestRows() {
+  if (!fs.existsSync(MANIFEST_PATH)) return [];
+  const parsed = Papa.parse(fs.readFileSync(MANIFEST_PATH, "utf8"), { header: true, skipEmptyLines: true });
+  return parsed.data
+    .map((r) => ({
+      state: String(r.state || "").trim().toLowerCase(),
+      slug: String(r.slug || "").trim(),
+      url: String(r.url || "").trim(),
+      rel: String(r.relative_output_path || "").trim(),
+    }))
+    .filter((r) => r.state && r.slug && r.rel);
+}
+
+function loadFailed() {
+  if (!fs.existsSync(FAILED_PATH)) return new Set();
+  return new Set(
+    fs
+      .readFileSync(FAILED_PATH, "utf8")
+      .split(/\r?\n/)
+      .map((s) => s.trim().replace(/ /g, "_").toLowerCase())
+      .filter(Boolean)
+  );
+}
+
+// -------------------------------
+// Audit
+// -------------------------------
+
+// ThumbnailImage / PhotoImage: one named file
+function auditFile(row, col, files) {
+  const file = String(row[col.column] || "").trim();
+  if (!file) return { status: "missing", file: "" };
+  if (files.has(stemOf(file))) return { status: "ok", file };
+  // Downloaded under the slug, but the CSV names something else
+  if (files.has(row.Slug.toLowerCase())) return { status: "mismatch", file, downloaded: files.get(row.Slug.toLowerCase()) };
+  return { status: "not-downloaded", file };
+}
+
+// Uncooked / cooked: the hero column plus the manifest's downloads
+function auditState(row, col, files, manifest, failed) {
+  const listed = (Array.isArray(row[col.column]) ? row[col.column] : []).map((f) => String(f).trim()).filter(Boolean);
+  const downloads = manifest.filter((m) => m.state === col.state && m.slug === row.Slug);
+  const sources = [...listed.map((f) => ({ from: col.column, file: f })), ...downloads.map((m) => ({ from: "manifest", file: path.basename(m.rel), url: m.url }))];
+
+  if (!sources.length) return { status: "missing", files: [], sources };
+
+  const found = Array.from(new Set(sources.map((s) => files.get(stemOf(s.file))).filter(Boolean)));
+  if (found.length) return { status: "ok", files: found, sources };
+  if (downloads.some((m) => failed.has(urlFileKey(m.url)))) return { status: "failed", files: [], sources };
+  return { status: "not-downloaded", files: [], sources };
+}
+
+function buildReport() {
+  const rows = loadPastaCsv().rows.filter((r) => r.Slug);
+  const imagesDir = sourceDir();
+  const folders = {
+    thumbs: listFolder(path.join(imagesDir, SOURCE_FOLDERS.thumbs)),
+    full: listFolder(path.join(imagesDir, SOURCE_FOLDERS.full)),
+  };
+  const manifest = loadManifestRows();
+  const failed = loadFailed();
+
+  const summary = {};
+  for (const col of COLUMNS) summary[col.key] = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+
+  const shapes = rows.map((row) => {
+    const entry = { slug: row.Slug, name: row.ShapeName };
+    for (const col of COLUMNS) {
+      const files = folders[col.folder];
+      entry[col.key] = col.state ? auditState(row, col, files, manifest, failed) : auditFile(row, col, files);
+      summary[col.key][entry[col.key].status]++;
+    }
+    entry.gaps = COLUMNS.filter((c) => entry[c.key].status !== "ok").map((c) => c.key);
+    return entry;
+  });
+
+  const slugs = new Set(rows.map((r) => r.Slug));
+  return {
+    generated: new Date().toISOString(),
+    imagesDir,
+    downloadsFound: folders.thumbs.size + folders.full.size > 0,
+    summary,
+    shapes,
+    thumbMismatches: shapes
+      .filter((s) => s.thumb.status === "mismatch")
+      .map((s) => ({ slug: s.slug, file: s.thumb.file, downloaded: s.thumb.downloaded })),
+    orphanManifestSlugs: Array.from(new Set(manifest.map((m) => m.slug).filter((s) => !slugs.has(s)))).sort(),
+  };
+}
+
+// -------------------------------
+// Output
+// -------------------------------
+function printTable(shapes) {
+  const nameWidth = Math.min(32, Math.max(5, ...shapes.map((s) => s.slug.length)));
+  const cell = (v) => String(v).padEnd(8);
+  console.log(`${"Shape".padEnd(nameWidth)}  ${COLUMNS.map((c) => cell(c.label)).join("")}`);
+  console.log(`${"-".repeat(nameWidth)}  ${COLUMNS.map(() => cell("-------")).join("")}`);
+  for (const s of shapes) {
+    const name = s.slug.length > nameWidth ? `${s.slug.slice(0, nameWidth - 1)}…` : s.slug.padEnd(nameWidth);
+    console.log(`${name}  ${COLUMNS.map((c) => cell(MARKS[s[c.key].status])).join("")}`);
+  }
+}
+
+function printSummary(report) {
+  console.log(`\n${report.shapes.length} shapes. Download folders: ${report.imagesDir}`);
+  if (!report.downloadsFound) {
+    console.log("  (no downloaded files found - run tools/pasta-images-downloader/download_images.js first)");
+  }
+  for (const col of COLUMNS) {
+    const counts = report.summary[col.key];
+    const parts = STATUSES.filter((s) => counts[s]).map((s) => `${counts[s]} ${s}`);
+    console.log(`  ${col.label.padEnd(7)} ${parts.join(", ")}`);
+  }
+  for (const m of report.thumbMismatches) {
+    console.log(`  ThumbnailImage ${m.slug}: "${m.file}" not found; downloaded as ${m.downloaded}`);
+  }
+  if (report.orphanManifestSlugs.length) {
+    console.log(`  manifest.csv slugs with no shape: ${report.orphanManifestSlugs.join(", ")}`);
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log("Usage: node tools/pasta-images-audit.js [--all] [--out <file>] [--strict]");
+    return;
+  }
+
+  const report = buildReport();
+  const shown = args.all ? report.shapes : report.shapes.filter((s) => s.gaps.length);
+
+  console.log("");
+  if (shown.length) printTable(shown);
+  else console.log("Every shape has all four images.");
+  printSummary(report);
+
+  fs.writeFileSync(args.out, JSON.stringify(report, null, 2) + "\n", "utf8");
+  console.log(`\nWrote: ${path.resolve(args.out)}`);
+
+  if (args.strict && report.shapes.some((s) => s.gaps.length)) process.exitCode = 1;
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`pasta-images-audit: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,310 @@
+/**
+ * commons_metadata.js
+ * -----------------------------------------------------------------------------
+ * PURPOSE
+ * - Records who made each downloaded image and under what license, so the
+ *   site can credit every photo properly.
+ * - For every Wikimedia Commons URL in manifest.csv, asks the Commons API for
+ *   the file's author (Artist), license name, license URL and description
+ *   page, and stores them in ./image-metadata.json (the sidecar).
+ * - Then checks every image against the allowed licenses in
+ *   src/_lib/image-licenses.js and lists anything that can't be published.
+ *
+ * USAGE
+ *   node commons_metadata.js             fetch what's missing, then check
+ *   node commons_metadata.js --refresh   re-fetch everything
+ *   node commons_metadata.js --check     check only (no network)
+ *
+ * download_images.js runs the fetch + check after downloading.
+ *
+ * OUTPUT
+ * - ./image-metadata.json, keyed by relative_output_path:
+ *     "cooked/penne.jpg": { source_url, title, page_url, author, license,
+ *                           license_url, fetched_at }
+ * - Exit code 1 when any image has no allowed license (CI can flag it).
+ *
+ * NOTES
+ * - Entries are kept until their manifest URL changes, so re-runs only ask
+ *   Commons about new files. Non-Commons URLs can't be looked up: add their
+ *   entry to image-metadata.json by hand (same fields) and it is kept.
+ * - COMMONS_API_URL points the script at another MediaWiki API - e.g. a local
+ *   fixture server when testing (http:// is fine).
+ * -----------------------------------------------------------------------------
+ */
+
+const fs = require("fs");
+const path = require("path");
+const https = require("https");
+const http = require("http");
+
+const { METADATA_PATH, licenseProblem } = require("../../src/_lib/image-licenses");
+
+const ROOT = __dirname;
+const MANIFEST = path.join(ROOT, "manifest.csv");
+
+// Commons API endpoint (MediaWiki Action API); override for fixtures
+const API = String(process.env.COMMONS_API_URL || "").trim() || "https://commons.wikimedia.org/w/api.php";
+
+// The API accepts up to 50 titles per query
+const BATCH_SIZE = 50;
+
+// Be polite
+const USER_AGENT = "PastaShapesCommonsMetadata/1.0 (+https://homecharg.ing/)";
+const REQUEST_TIMEOUT_MS = 30000;
+const POLITE_DELAY_MS = 200;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Read manifest.csv (state, slug, url, relative_output_path).
+ * Same small parser as download_images.js; when two rows write the same
+ * path, the first wins (the downloader skips files that already exist).
+ */
+function readManifest() {
+  if (!fs.existsSync(MANIFEST)) throw new Error(`Missing manifest.csv at ${MANIFEST}`);
+  const lines = fs.readFileSync(MANIFEST, "utf8").split(/\r?\n/).filter(Boolean);
+
+  const header = lines[0].split(",").map((s) => s.trim());
+  const idxUrl = header.indexOf("url");
+  const idxRel = header.indexOf("relative_output_path");
+  if (idxUrl === -1 || idxRel === -1) {
+    throw new Error("manifest.csv missing required columns: url, relative_output_path");
+  }
+
+  const rows = [];
+  const seen = new Set();
+  for (let i = 1; i < lines.length; i++) {
+    const cols = lines[i].split(",");
+    const url = (cols[idxUrl] || "").trim();
+    const rel = (cols[idxRel] || "").trim();
+    if (!url || !rel || seen.has(rel)) continue;
+    seen.add(rel);
+    rows.push({ url, rel });
+  }
+  return rows;
+}
+
+/**
+ * ".../wiki/Special:FilePath/Bucatini%20all'amatriciana.jpg" -> "File:Bucatini all'amatriciana.jpg"
+ * ("" for anything that isn't a Commons file URL)
+ */
+function commonsTitle(url) {
+  const m = String(url).match(/commons\.wikimedia\.org\/wiki\/(?:Special:FilePath\/|File:)([^?#]+)/i);
+  if (!m) return "";
+  let name = m[1];
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    /* keep it encoded */
+  }
+  return `File:${name.replace(/_/g, " ").trim()}`;
+}
+
+/**
+ * Commons' Artist field is HTML ("<a href=...>Jane Doe</a>"); keep the text.
+ */
+function plainText(html) {
+  return String(html || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Minimal JSON GET (http or https, for fixture servers).
+ */
+function fetchJson(url) {
+  return new Promise((resolve, reject) => {
+    const lib = url.startsWith("http:") ? http : https;
+    const req = lib.request(
+      url,
+      {
+        method: "GET",
+        headers: { "User-Agent": USER_AGENT, Accept: "application/json" },
+        timeout: REQUEST_TIMEOUT_MS,
+      },
+      (res) => {
+        let data = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            return reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+          }
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(new Error(`Failed to parse JSON. Body starts: ${data.slice(0, 200)}`));
+          }
+        });
+      }
+    );
+
+    req.on("timeout", () => req.destroy(new Error(`Timeout after ${REQUEST_TIMEOUT_MS}ms`)));
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+function apiUrl(params) {
+  const u = new URL(API);
+  u.searchParams.set("format", "json");
+  u.searchParams.set("formatversion", "2");
+  for (const [k, v] of Object.entries(params)) u.searchParams.set(k, String(v));
+  return u.toString();
+}
+
+/**
+ * Author / license / page for up to BATCH_SIZE "File:..." titles.
+ * Returns Map(requested title -> { title, page_url, author, license, license_url } | { missing: true }).
+ */
+async function fetchBatch(titles) {
+  const json = await fetchJson(
+    apiUrl({
+      action: "query",
+      prop: "imageinfo",
+      iiprop: "url|extmetadata",
+      iiextmetadatafilter: "Artist|LicenseShortName|LicenseUrl",
+      redirects: 1,
+      titles: titles.join("|"),
+    })
+  );
+
+  const query = json.query || {};
+
+  // Follow the API's renames: requested -> normalized -> redirect target
+  const renamed = new Map();
+  for (const n of [...(query.normalized || []), ...(query.redirects || [])]) renamed.set(n.from, n.to);
+  const finalTitle = (t) => {
+    let cur = t;
+    for (let i = 0; i < 5 && renamed.has(cur); i++) cur = renamed.get(cur);
+    return cur;
+  };
+
+  const pages = new Map((query.pages || []).map((p) => [p.title, p]));
+  const out = new Map();
+  for (const t of titles) {
+    const page = pages.get(finalTitle(t));
+    const info = page && !page.missing && page.imageinfo && page.imageinfo[0];
+    if (!info) {
+      out.set(t, { missing: true });
+      continue;
+    }
+    const meta = info.extmetadata || {};
+    const value = (key) => plainText(meta[key] && meta[key].value);
+    out.set(t, {
+      title: page.title.replace(/^File:/, ""),
+      page_url: info.descriptionurl || "",
+      author: value("Artist"),
+      license: value("LicenseShortName"),
+      license_url: String((meta.LicenseUrl && meta.LicenseUrl.value) || "").trim(),
+    });
+  }
+  return out;
+}
+
+function loadSidecar() {
+  if (!fs.existsSync(METADATA_PATH)) return {};
+  return JSON.parse(fs.readFileSync(METADATA_PATH, "utf8"));
+}
+
+function writeSidecar(entries) {
+  const sorted = {};
+  for (const key of Object.keys(entries).sort()) sorted[key] = entries[key];
+  fs.writeFileSync(METADATA_PATH, JSON.stringify(sorted, null, 2) + "\n", "utf8");
+}
+
+/**
+ * Fetch whatever the sidecar is missing (everything with `refresh`) and
+ * write it. Returns { fetched, notFound: [rel] }.
+ */
+async function updateMetadata({ refresh = false } = {}) {
+  const manifest = readManifest();
+  const old = loadSidecar();
+  const entries = {};
+  const todo = []; // { rel, url, title }
+
+  for (const { rel, url } of manifest) {
+    const kept = old[rel];
+    if (kept && kept.source_url === url && !refresh) {
+      entries[rel] = kept;
+      continue;
+    }
+    const title = commonsTitle(url);
+    if (title) todo.push({ rel, url, title });
+    else if (kept && kept.source_url === url) entries[rel] = kept; // hand-written
+  }
+
+  const notFound = [];
+  const titles = Array.from(new Set(todo.map((t) => t.title)));
+  const results = new Map();
+  for (let i = 0; i < titles.length; i += BATCH_SIZE) {
+    const batch = titles.slice(i, i + BATCH_SIZE);
+    console.log(`Commons: ${i + batch.length}/${titles.length}`);
+    for (const [t, r] of await fetchBatch(batch)) results.set(t, r);
+    await sleep(POLITE_DELAY_MS);
+  }
+
+  const fetchedAt = new Date().toISOString().slice(0, 10);
+  for (const { rel, url, title } of todo) {
+    const r = results.get(title);
+    if (!r || r.missing) {
+      notFound.push(rel);
+      continue;
+    }
+    const { missing, ...fields } = r;
+    entries[rel] = { source_url: url, ...fields, fetched_at: fetchedAt };
+  }
+
+  writeSidecar(entries);
+  return { fetched: todo.length - notFound.length, notFound };
+}
+
+/**
+ * Every manifest image that can't be published: [{ rel, problem }].
+ */
+function checkLicenses() {
+  const entries = loadSidecar();
+  return readManifest()
+    .map(({ rel }) => ({ rel, problem: licenseProblem(entries[rel]) }))
+    .filter((r) => r.problem);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const checkOnly = args.includes("--check");
+
+  if (!checkOnly) {
+    const { fetched, notFound } = await updateMetadata({ refresh: args.includes("--refresh") });
+    console.log(`Fetched metadata for ${fetched} file(s). Wrote: ${METADATA_PATH}`);
+    for (const rel of notFound) console.log(`NOT ON COMMONS ${rel}`);
+  }
+
+  const problems = checkLicenses();
+  for (const p of problems) console.log(`LICENSE ${p.rel}: ${p.problem}`);
+  console.log(problems.length ? `\n${problems.length} image(s) can't be published.` : "\nAll images have an allowed license.");
+  process.exitCode = problems.length ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error("FATAL:", e);
+    process.exit(2);
+  });
+}
+
+module.exports = {
+  commonsTitle,
+  plainText,
+  fetchBatch,
+  updateMetadata,
+  checkLicenses,
+};
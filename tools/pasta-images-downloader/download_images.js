@@ -5,7 +5,9 @@
  *   ./uncooked/<slug>.<ext>
  *   ./cooked/<slug>.<ext>
  *
- * Then builds ./pasta-images.zip containing the two folders.
+ * Then records each image's author + license (commons_metadata.js ->
+ * ./image-metadata.json) and builds ./pasta-images.zip containing the two
+ * folders and that sidecar.
  *
  * WHY THIS EXISTS:
  *   - Your tracking spreadsheet contains direct image URLs.
@@ -25,6 +27,7 @@
  * OUTPUTS:
  *   - ./uncooked/...
  *   - ./cooked/...
+ *   - ./image-metadata.json (author, license, source page per image)
  *   - ./pasta-images.zip
  *
  * NOTE:
@@ -40,6 +43,9 @@ const http = require("http");
 const { URL } = require("url");
 const zlib = require("zlib");
 
+const { updateMetadata, checkLicenses } = require("./commons_metadata");
+const { METADATA_PATH } = require("../../src/_lib/image-licenses");
+
 // -------------------------------
 // Config
 // -------------------------------
@@ -382,7 +388,8 @@ function listFilesRecursive(dir) {
 }
 
 /**
- * Write a ZIP containing all files in the provided folders.
+ * Write a ZIP containing all files in the provided folders (plain files are
+ * added as they are).
  * Zip content paths are relative to ROOT, which gives you:
  *   uncooked/...
  *   cooked/...
@@ -391,7 +398,11 @@ function writeZip(zipPath, folders) {
   if (fs.existsSync(zipPath)) fs.unlinkSync(zipPath);
 
   const files = [];
-  for (const f of folders) if (fs.existsSync(f)) files.push(...listFilesRecursive(f));
+  for (const f of folders) {
+    if (!fs.existsSync(f)) continue;
+    if (fs.statSync(f).isDirectory()) files.push(...listFilesRecursive(f));
+    else files.push(f);
+  }
 
   const fd = fs.openSync(zipPath, "w");
   let offset = 0;
@@ -512,18 +523,33 @@ async function run() {
 
   await Promise.all(Array.from({ length: CONCURRENCY }, () => worker()));
 
+  // Author + license for every Commons file (see commons_metadata.js).
+  // A failed lookup doesn't lose the downloads; it counts as an error.
+  let licenseProblems = 0;
+  try {
+    const { notFound } = await updateMetadata();
+    for (const rel of notFound) console.log(`NOT ON COMMONS ${rel}`);
+    const problems = checkLicenses();
+    for (const p of problems) console.log(`LICENSE ${p.rel}: ${p.problem}`);
+    licenseProblems = problems.length;
+  } catch (e) {
+    err++;
+    console.log(`ERROR fetching image metadata: ${e.message}`);
+  }
+
   // Always build a zip of whatever succeeded.
-  writeZip(ZIP_OUT, [OUT_UNCOOKED, OUT_COOKED]);
+  writeZip(ZIP_OUT, [OUT_UNCOOKED, OUT_COOKED, METADATA_PATH]);
 
   console.log("\nDone.");
   console.log("Downloaded:", ok);
   console.log("Skipped:", skip);
   console.log("Errors:", err);
+  console.log("License problems:", licenseProblems);
   console.log("ZIP created:", ZIP_OUT);
 
   // Exit non-zero if there were errors so CI can signal "not perfect".
   // If you prefer the job to always pass, change to: process.exit(0);
-  process.exit(err ? 1 : 0);
+  process.exit(err || licenseProblems ? 1 : 0);
 }
 
 run().catch((e) => {
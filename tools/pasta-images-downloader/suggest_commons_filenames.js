@@ -15,7 +15,10 @@
  * OUTPUT
  * - ./suggestions.csv
  *   Columns:
- *     original, exists, best_title, best_filepath_url, candidates_json
+ *     original, exists, best_title, best_filepath_url, candidates_json,
+ *     best_license, best_author
+ *   best_license / best_author come from commons_metadata.js, so you can skip
+ *   a candidate whose license the site can't use (src/_lib/image-licenses.js).
  *
  * HOW IT WORKS
  * 1) Tries an exact check: "File:<original>"
@@ -36,6 +39,9 @@ const fs = require("fs");
 const path = require("path");
 const https = require("https");
 
+const { fetchBatch } = require("./commons_metadata");
+const { allowedLicense } = require("../../src/_lib/image-licenses");
+
 const ROOT = __dirname;
 const INPUT_TXT = path.join(ROOT, "failed-filenames.txt");
 const OUTPUT_CSV = path.join(ROOT, "suggestions.csv");
@@ -163,6 +169,22 @@ function toFilePathUrl(fileTitle) {
   return `https://commons.wikimedia.org/wiki/Special:FilePath/${encodeURIComponent(name)}`;
 }
 
+/**
+ * [license, author] for a "File:..." title ("" when unknown). Licenses the
+ * site can't use are marked so they stand out in the CSV.
+ */
+async function licenseColumns(fileTitle) {
+  if (!fileTitle) return ["", ""];
+  try {
+    const info = (await fetchBatch([fileTitle])).get(fileTitle);
+    if (!info || info.missing) return ["", ""];
+    const license = info.license && !allowedLicense(info.license) ? `${info.license} (not allowed)` : info.license;
+    return [license, info.author];
+  } catch (e) {
+    return [`api_error: ${e.message}`, ""];
+  }
+}
+
 /**
  * Very small CSV escape.
  */
@@ -185,7 +207,9 @@ async function main() {
     .filter(Boolean);
 
   const out = [];
-  out.push(["original", "exists", "best_title", "best_filePath_url", "candidates_json"].join(","));
+  out.push(
+    ["original", "exists", "best_title", "best_filePath_url", "candidates_json", "best_license", "best_author"].join(",")
+  );
 
   for (let i = 0; i < lines.length; i++) {
     const original = lines[i];
@@ -203,6 +227,8 @@ async function main() {
           "",
           "",
           csvEscape(JSON.stringify({ error: e.message })),
+          "",
+          "",
         ].join(",")
       );
       continue;
@@ -210,6 +236,7 @@ async function main() {
 
     if (existsInfo.exists) {
       const bestTitle = existsInfo.title; // "File:..."
+      const [license, author] = await licenseColumns(bestTitle);
       out.push(
         [
           csvEscape(original),
@@ -217,6 +244,8 @@ async function main() {
           csvEscape(bestTitle),
           csvEscape(toFilePathUrl(bestTitle)),
           csvEscape(JSON.stringify([bestTitle])),
+          csvEscape(license),
+          csvEscape(author),
         ].join(",")
       );
       await sleep(POLITE_DELAY_MS);
@@ -226,6 +255,7 @@ async function main() {
     // 2) Search candidates
     const candidates = await searchCandidates(original);
     const bestTitle = candidates[0] || "";
+    const [license, author] = await licenseColumns(bestTitle);
 
     out.push(
       [
@@ -234,6 +264,8 @@ async function main() {
         csvEscape(bestTitle),
         csvEscape(bestTitle ? toFilePathUrl(bestTitle) : ""),
         csvEscape(JSON.stringify(candidates)),
+        csvEscape(license),
+        csvEscape(author),
       ].join(",")
     );
 